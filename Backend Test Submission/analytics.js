@@ -0,0 +1,144 @@
+// Click aggregation for the analytics endpoint: time series, referrers, user agent, country and routing breakdowns
+
+export const BUCKET_SIZES = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Order matters: more specific tokens must be tested first (Edge and Opera also claim to be Chrome)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+  ['Internet Explorer', /MSIE |Trident\//],
+  ['curl', /^curl\//],
+  ['Wget', /^Wget\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|quora link|whatsapp|headless/i;
+
+export const isBot = (userAgent = '') => BOT_PATTERN.test(userAgent);
+
+// Coarse user agent classification (browser, OS, device type)
+export function parseUserAgent(userAgent = '') {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', device: 'unknown' };
+  }
+
+  const match = (patterns) => (patterns.find(([, pattern]) => pattern.test(userAgent)) || ['Other'])[0];
+  const browser = isBot(userAgent) ? 'Bot' : match(BROWSERS);
+  const os = match(OPERATING_SYSTEMS);
+
+  let device = 'desktop';
+  if (browser === 'Bot') {
+    device = 'bot';
+  } else if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    device = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/.test(userAgent)) {
+    device = 'mobile';
+  } else if (browser === 'curl' || browser === 'Wget') {
+    device = 'other';
+  }
+
+  return { browser, os, device };
+}
+
+// Referrers are grouped by host so different pages of the same site count together
+const referrerSource = (referrer) => {
+  if (!referrer || referrer === 'direct') {
+    return 'direct';
+  }
+  try {
+    return new URL(referrer).hostname || referrer;
+  } catch {
+    return referrer;
+  }
+};
+
+// Clicks recorded under Do Not Track / Global Privacy Control carry no address or user agent, so they can't be
+// told apart: they are counted as untracked clicks instead of as (one) unique visitor
+const visitorKey = (click) => `${click.ip || ''}|${click.userAgent || ''}`;
+
+// Routing rule that sent the click, "rule/variant" for A/B splits; clicks that used the link's own URL are "default"
+const routeName = (click) => {
+  if (!click.rule) {
+    return 'default';
+  }
+  return click.variant ? `${click.rule}/${click.variant}` : click.rule;
+};
+
+// Count occurrences and return the `limit` most frequent as [{ name, clicks }]
+const topCounts = (values, limit) => {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return Array.from(counts, ([name, clicks]) => ({ name, clicks }))
+    .sort((a, b) => b.clicks - a.clicks || a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+
+// Aggregate clicks between `from` and `to` (Date objects, inclusive/exclusive) into fixed-size buckets
+export function aggregateClicks(clicks, { from, to, bucket = 'hour', top = 10 }) {
+  const bucketMs = BUCKET_SIZES[bucket];
+  const start = Math.floor(from.getTime() / bucketMs) * bucketMs;
+  const end = to.getTime();
+
+  const inRange = clicks.filter((click) => {
+    const time = new Date(click.timestamp).getTime();
+    return time >= from.getTime() && time < end;
+  });
+
+  // Pre-fill every bucket so the series has no gaps
+  const series = [];
+  for (let bucketStart = start; bucketStart < end; bucketStart += bucketMs) {
+    series.push({ start: new Date(bucketStart).toISOString(), clicks: 0, untracked: 0, visitors: new Set() });
+  }
+
+  for (const click of inRange) {
+    const index = Math.floor((new Date(click.timestamp).getTime() - start) / bucketMs);
+    series[index].clicks++;
+    if (click.doNotTrack) {
+      series[index].untracked++;
+    } else {
+      series[index].visitors.add(visitorKey(click));
+    }
+  }
+
+  const tracked = inRange.filter(click => !click.doNotTrack);
+  const agents = inRange.map(click => parseUserAgent(click.userAgent));
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    bucket,
+    totalClicks: inRange.length,
+    uniqueVisitors: new Set(tracked.map(visitorKey)).size,
+    untrackedClicks: inRange.length - tracked.length,
+    timeSeries: series.map(({ start: bucketStart, clicks: count, untracked, visitors }) => ({
+      start: bucketStart,
+      clicks: count,
+      uniqueVisitors: visitors.size,
+      untrackedClicks: untracked
+    })),
+    topReferrers: topCounts(inRange.map(click => referrerSource(click.referrer)), top),
+    browsers: topCounts(agents.map(agent => agent.browser), top),
+    operatingSystems: topCounts(agents.map(agent => agent.os), top),
+    deviceTypes: topCounts(agents.map(agent => agent.device), top),
+    countries: topCounts(inRange.map(click => click.country || 'Unknown'), top),
+    routes: topCounts(inRange.map(routeName), top)
+  };
+}
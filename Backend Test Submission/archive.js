@@ -0,0 +1,23 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../middleware/logger.js';
+
+// Append-only NDJSON archive for links removed from the live store by the expiry sweeper.
+// Each line holds the full link record and its analytics at the time it was archived.
+export class LinkArchive {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  append(urlData, analytics) {
+    const entry = {
+      archivedAt: new Date().toISOString(),
+      link: urlData,
+      analytics: analytics || null
+    };
+
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    Logger.debug('Link archived to file', { shortcode: urlData.shortcode, filePath: this.filePath });
+  }
+}
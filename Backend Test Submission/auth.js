@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+import { UnauthorizedError, ForbiddenError } from '../models/errors.js';
+
+// Keys are compared by SHA-256 digest so lookups don't depend on how much of the key matches
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Read the API key from "X-API-Key: <key>" or "Authorization: Bearer <key>"
+export const extractApiKey = (req) => {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// Create the API key authentication middleware.
+// On success req.auth is set to { owner, isAdmin }. When no keys are configured authentication
+// is disabled (development mode) and every request is treated as an anonymous admin.
+export const createAuthMiddleware = ({ apiKeys = [], adminApiKeys = [] } = {}) => {
+  const identities = new Map(); // sha256(key) -> { owner, isAdmin }
+
+  for (const { key, owner } of apiKeys) {
+    identities.set(hashKey(key), { owner, isAdmin: false });
+  }
+  for (const { key, owner } of adminApiKeys) {
+    identities.set(hashKey(key), { owner, isAdmin: true });
+  }
+
+  const enabled = identities.size > 0;
+
+  if (!enabled) {
+    Logger.warn('No API keys configured, authentication is disabled');
+  }
+
+  const authenticate = (req, res, next) => {
+    if (!enabled) {
+      req.auth = { owner: null, isAdmin: true };
+      return next();
+    }
+
+    const apiKey = extractApiKey(req);
+
+    if (!apiKey) {
+      Logger.warn('Missing API key', { method: req.method, url: req.url, ip: req.ip });
+      res.set('WWW-Authenticate', 'Bearer');
+      return next(new UnauthorizedError('MISSING_API_KEY', 'Missing API key. Send it in the X-API-Key header or as a Bearer token'));
+    }
+
+    const identity = identities.get(hashKey(apiKey));
+
+    if (!identity) {
+      Logger.warn('Invalid API key', { method: req.method, url: req.url, ip: req.ip });
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return next(new UnauthorizedError('INVALID_API_KEY', 'Invalid API key'));
+    }
+
+    req.auth = identity;
+    next();
+  };
+
+  authenticate.enabled = enabled;
+
+  // Digest of the request's API key if it is a configured key, else null. Rate limiters use it so only
+  // accepted keys get a bucket of their own; made-up keys are limited by address alone.
+  authenticate.keyId = (req) => {
+    const apiKey = extractApiKey(req);
+    const keyHash = apiKey ? hashKey(apiKey) : null;
+    return keyHash && identities.has(keyHash) ? keyHash : null;
+  };
+  return authenticate;
+};
+
+// Only let admin keys through (use after authenticate)
+export const requireAdmin = (req, res, next) => {
+  if (!req.auth?.isAdmin) {
+    Logger.warn('Admin access denied', { method: req.method, url: req.url, owner: req.auth?.owner });
+    return next(new ForbiddenError('ADMIN_REQUIRED', 'This operation requires an admin API key'));
+  }
+
+  next();
+};
+
+// Owner filter for URLStore queries: admins see everything (undefined), everyone else only their own links
+export const ownerScope = (auth) => (auth && auth.isAdmin ? undefined : auth?.owner);
@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+
+// Runtime configuration. Values are resolved as: defaults < config file (CONFIG_FILE) < environment variables.
+// Every option is declared here once with its environment variable, type and default.
+const OPTIONS = {
+  port: { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+  baseUrl: { env: 'BASE_URL', type: 'url', default: null }, // defaults to http://localhost:<port>
+  defaultValidity: { env: 'DEFAULT_VALIDITY', type: 'integer', default: 30, min: 1, max: 10 * 365 * 24 * 60 }, // minutes, 10 years at most
+  trustProxy: { env: 'TRUST_PROXY', type: 'trustProxy', default: false },
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: ['*'] },
+  storageDriver: { env: 'STORAGE_DRIVER', type: 'enum', values: ['memory', 'file', 'sqlite'], default: 'memory' },
+  storagePath: { env: 'STORAGE_PATH', type: 'string', default: null },
+  maxBatchSize: { env: 'MAX_BATCH_SIZE', type: 'integer', default: 500, min: 1 },
+  maxImportRows: { env: 'MAX_IMPORT_ROWS', type: 'integer', default: 10000, min: 1 },
+  apiKeys: { env: 'API_KEYS', type: 'keyMap', default: [] }, // "key:owner,key:owner"
+  adminApiKeys: { env: 'ADMIN_API_KEYS', type: 'keyMap', defaultOwner: 'admin', default: [] },
+  // Destination URL policy
+  allowedSchemes: { env: 'ALLOWED_SCHEMES', type: 'list', default: ['http', 'https'] },
+  allowedDomains: { env: 'ALLOWED_DOMAINS', type: 'list', default: [] }, // empty: any domain not blocked
+  blockedDomains: { env: 'BLOCKED_DOMAINS', type: 'list', default: [] },
+  // Other hosts serving the short links besides BASE_URL's (e.g. "sho.rt,go.example.com:8443"), refused as destinations
+  selfHostAliases: { env: 'SELF_HOST_ALIASES', type: 'list', default: [] },
+  shortenerDomains: { env: 'SHORTENER_DOMAINS', type: 'list', default: null }, // null: built-in list
+  maxUrlLength: { env: 'MAX_URL_LENGTH', type: 'integer', default: 2048, min: 16 },
+  geoipDatabase: { env: 'GEOIP_DATABASE', type: 'string', default: null }, // CSV of "cidr,country[,region]"
+  // Privacy of recorded clicks
+  ipAnonymization: { env: 'IP_ANONYMIZATION', type: 'enum', values: ['none', 'truncate', 'hash'], default: 'none' },
+  ipHashSalt: { env: 'IP_HASH_SALT', type: 'string', default: null },
+  clickRetentionDays: { env: 'CLICK_RETENTION_DAYS', type: 'integer', default: 0, min: 0 }, // 0 keeps details forever
+  countBotClicks: { env: 'COUNT_BOT_CLICKS', type: 'boolean', default: false },
+  // Expired link lifecycle
+  sweepIntervalSeconds: { env: 'SWEEP_INTERVAL_SECONDS', type: 'integer', default: 300, min: 0 }, // 0 disables the sweeper
+  archiveAfterMinutes: { env: 'ARCHIVE_AFTER_MINUTES', type: 'integer', default: 24 * 60, min: 0 },
+  shortcodeCooldownMinutes: { env: 'SHORTCODE_COOLDOWN_MINUTES', type: 'integer', default: 30 * 24 * 60, min: 0 },
+  archivePath: { env: 'ARCHIVE_PATH', type: 'string', default: null }, // NDJSON file for archived links
+  expiredPage: { env: 'EXPIRED_PAGE', type: 'boolean', default: false }, // HTML "link expired" page for browsers
+  brandName: { env: 'BRAND_NAME', type: 'string', default: 'URL Shortener' },
+  // Webhooks for link events
+  webhooksPath: { env: 'WEBHOOKS_PATH', type: 'string', default: null }, // JSON file for subscriptions; null keeps them in memory
+  webhookMaxAttempts: { env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', default: 6, min: 1, max: 20 },
+  webhookTimeoutSeconds: { env: 'WEBHOOK_TIMEOUT_SECONDS', type: 'integer', default: 10, min: 1, max: 60 },
+  webhookRetryBaseSeconds: { env: 'WEBHOOK_RETRY_BASE_SECONDS', type: 'integer', default: 2, min: 1 },
+  // true lets any API key deliver to loopback/private addresses; otherwise only subscriptions made with an admin key may
+  webhookAllowPrivateTargets: { env: 'WEBHOOK_ALLOW_PRIVATE_TARGETS', type: 'boolean', default: false },
+  // Logging
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  logFormat: { env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty', 'none'], default: 'json' }, // stdout output
+  logFile: { env: 'LOG_FILE', type: 'string', default: null }, // JSON lines file in addition to stdout
+  logFileMaxSizeMb: { env: 'LOG_FILE_MAX_SIZE_MB', type: 'integer', default: 10, min: 0 }, // 0: no size rotation
+  logFileRotation: { env: 'LOG_FILE_ROTATION', type: 'enum', values: ['none', 'hourly', 'daily'], default: 'daily' },
+  logFileMaxFiles: { env: 'LOG_FILE_MAX_FILES', type: 'integer', default: 7, min: 0 }, // rotated files kept, 0 keeps all
+  // Redaction of log metadata, on top of the built-in rules of the logger (passwords, secrets, tokens in URLs...)
+  logRedaction: { env: 'LOG_REDACTION', type: 'boolean', default: true }, // false logs metadata unchanged
+  logRedactKeys: { env: 'LOG_REDACT_KEYS', type: 'list', default: [] }, // field names redacted at any depth
+  logRedactPaths: { env: 'LOG_REDACT_PATHS', type: 'list', default: [] }, // dotted paths, e.g. "body.email,headers.*"
+  logRedactQueryParams: { env: 'LOG_REDACT_QUERY_PARAMS', type: 'list', default: [] },
+  logRedactPatterns: { env: 'LOG_REDACT_PATTERNS', type: 'patterns', default: [] }, // regular expressions
+  logIpMasking: { env: 'LOG_IP_MASKING', type: 'enum', values: ['none', 'truncate', 'redact'], default: 'truncate' },
+  metricsToken: { env: 'METRICS_TOKEN', type: 'string', default: null }, // Bearer token for GET /metrics; null leaves it open
+  // Rate limits as "<requests>/<seconds>", or "off"
+  rateLimitCreate: { env: 'RATE_LIMIT_CREATE', type: 'rate', default: { limit: 30, windowSeconds: 60 } },
+  rateLimitRedirect: { env: 'RATE_LIMIT_REDIRECT', type: 'rate', default: { limit: 120, windowSeconds: 60 } },
+  rateLimitStatistics: { env: 'RATE_LIMIT_STATISTICS', type: 'rate', default: { limit: 60, windowSeconds: 60 } },
+  rateLimitPassword: { env: 'RATE_LIMIT_PASSWORD', type: 'rate', default: { limit: 5, windowSeconds: 900 } } // per IP and link
+};
+
+const MIN_API_KEY_LENGTH = 16;
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Convert a raw value (string from the environment, or JSON value from the file) to the option's type.
+// Throws a plain Error with a human readable reason when the value is not acceptable.
+const parseValue = (option, value) => {
+  switch (option.type) {
+    case 'integer': {
+      const num = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(num)) {
+        throw new Error(`must be an integer, got "${value}"`);
+      }
+      if (option.min !== undefined && num < option.min) {
+        throw new Error(`must be at least ${option.min}, got ${num}`);
+      }
+      if (option.max !== undefined && num > option.max) {
+        throw new Error(`must be at most ${option.max}, got ${num}`);
+      }
+      return num;
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const normalised = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(normalised)) {
+        return true;
+      }
+      if (['false', '0', 'no', ''].includes(normalised)) {
+        return false;
+      }
+      throw new Error(`must be true or false, got "${value}"`);
+    }
+
+    case 'string':
+      return String(value);
+
+    case 'enum':
+      if (!option.values.includes(value)) {
+        throw new Error(`must be one of ${option.values.join(', ')}, got "${value}"`);
+      }
+      return value;
+
+    case 'list':
+      if (Array.isArray(value)) {
+        return value.map(String);
+      }
+      return String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+    case 'url': {
+      let url;
+      try {
+        url = new URL(String(value));
+      } catch {
+        throw new Error(`must be an absolute URL, got "${value}"`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`must use http or https, got "${url.protocol}"`);
+      }
+      if (url.search || url.hash) {
+        throw new Error('must not contain a query string or fragment');
+      }
+      // Stored without trailing slash so links can be built as `${baseUrl}/${shortcode}`
+      return url.href.replace(/\/+$/, '');
+    }
+
+    // Same values Express accepts for 'trust proxy': boolean, hop count, or list of addresses/subnets
+    case 'trustProxy': {
+      if (typeof value === 'boolean' || typeof value === 'number') {
+        return parseValue({ type: typeof value === 'number' ? 'integer' : 'boolean', min: 0 }, value);
+      }
+      if (Array.isArray(value)) {
+        return value.map(String);
+      }
+      const normalised = String(value).trim();
+      if (['true', 'false'].includes(normalised.toLowerCase())) {
+        return normalised.toLowerCase() === 'true';
+      }
+      if (/^\d+$/.test(normalised)) {
+        return Number(normalised);
+      }
+      return normalised.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    // API keys mapped to their owner: "key:owner" entries, or an object { key: owner } in the config file
+    case 'keyMap': {
+      const entries = typeof value === 'object' && !Array.isArray(value)
+        ? Object.entries(value).map(([key, owner]) => `${key}:${owner}`)
+        : parseValue({ type: 'list' }, value);
+
+      return entries.map((entry) => {
+        const separator = entry.lastIndexOf(':');
+        const key = separator === -1 ? entry : entry.slice(0, separator);
+        const owner = separator === -1 ? option.defaultOwner : entry.slice(separator + 1);
+
+        if (!owner) {
+          throw new Error('entries must have the form key:owner');
+        }
+        if (key.length < MIN_API_KEY_LENGTH) {
+          throw new Error(`keys must be at least ${MIN_API_KEY_LENGTH} characters (key for "${owner}" is too short)`);
+        }
+        return { key, owner };
+      });
+    }
+
+    // Regular expressions: a list in the config file, or comma separated (so patterns with commas need the file)
+    case 'patterns':
+      return parseValue({ type: 'list' }, value).map((pattern) => {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          throw new Error(`must contain valid regular expressions: ${error.message}`);
+        }
+        return pattern;
+      });
+
+    // "<requests>/<seconds>" (e.g. "30/60"), or "off" to disable
+    case 'rate': {
+      if (typeof value === 'object') {
+        return parseValue(option, `${value.limit}/${value.windowSeconds}`);
+      }
+      const normalised = String(value).trim().toLowerCase();
+      if (['off', 'false', '0'].includes(normalised)) {
+        return null;
+      }
+      const match = normalised.match(/^(\d+)\s*\/\s*(\d+)$/);
+      if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+        throw new Error(`must have the form <requests>/<seconds> with positive numbers, or "off", got "${value}"`);
+      }
+      return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+    }
+
+    default:
+      throw new Error(`has unknown option type ${option.type}`);
+  }
+};
+
+const readConfigFile = (filePath) => {
+  const resolved = path.resolve(filePath);
+
+  let contents;
+  try {
+    contents = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${resolved} could not be read: ${error.message}`]);
+  }
+
+  try {
+    const parsed = JSON.parse(contents);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('top level value must be an object');
+    }
+    return parsed;
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${resolved} is not valid JSON: ${error.message}`]);
+  }
+};
+
+// Load and validate configuration. All problems are collected and reported together.
+export function loadConfig(env = process.env) {
+  const fileValues = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+  const errors = [];
+  const config = {};
+
+  for (const key of Object.keys(fileValues)) {
+    if (!OPTIONS[key]) {
+      errors.push(`Unknown option "${key}" in config file`);
+    }
+  }
+
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    let source = null;
+    let raw;
+
+    if (env[option.env] !== undefined && env[option.env] !== '') {
+      source = `environment variable ${option.env}`;
+      raw = env[option.env];
+    } else if (fileValues[key] !== undefined) {
+      source = `config file option "${key}"`;
+      raw = fileValues[key];
+    }
+
+    if (source === null) {
+      config[key] = option.default;
+      continue;
+    }
+
+    try {
+      config[key] = raw === null ? null : parseValue(option, raw);
+    } catch (error) {
+      errors.push(`${source} ${error.message}`);
+    }
+  }
+
+  // Checks that involve more than one option
+  if (config.ipAnonymization === 'hash' && (!config.ipHashSalt || config.ipHashSalt.length < 16)) {
+    errors.push('IP_HASH_SALT of at least 16 characters is required when IP_ANONYMIZATION is "hash"');
+  }
+
+  if (config.metricsToken !== null && config.metricsToken.length < MIN_API_KEY_LENGTH) {
+    errors.push(`METRICS_TOKEN must be at least ${MIN_API_KEY_LENGTH} characters`);
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  if (!config.baseUrl) {
+    config.baseUrl = `http://localhost:${config.port}`;
+  }
+
+  return Object.freeze(config);
+}
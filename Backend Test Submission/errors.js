@@ -0,0 +1,120 @@
+import { STATUS_CODES } from 'http';
+
+// Typed errors with a stable, machine-readable code. Clients should branch on `code`; messages are for humans
+// and may change. Every error response has the body { error, code, message[, details] }, built by toErrorResponse.
+export class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+}
+
+// Request data that doesn't meet the API's rules (INVALID_URL, INVALID_SHORTCODE, VALIDATION_FAILED, ...).
+// details lists the individual problems as { location, path, message } when there is more than one.
+export class ValidationError extends AppError {
+  constructor(code, message, details) {
+    super(400, code, message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(code, message) {
+    super(401, code, message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(code, message) {
+    super(403, code, message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Short URL not found', code = 'NOT_FOUND') {
+    super(404, code, message);
+    this.name = 'NotFoundError';
+  }
+}
+
+// The request clashes with existing state (SHORTCODE_TAKEN, SHORTCODE_COOLING_DOWN, ...)
+export class ConflictError extends AppError {
+  constructor(code, message) {
+    super(409, code, message);
+    this.name = 'ConflictError';
+  }
+}
+
+// The link exists but no longer redirects (LINK_EXPIRED, LINK_DELETED, LINK_EXHAUSTED)
+export class GoneError extends AppError {
+  constructor(code, message) {
+    super(410, code, message);
+    this.name = 'GoneError';
+  }
+}
+
+export class PayloadTooLargeError extends AppError {
+  constructor(message) {
+    super(413, 'PAYLOAD_TOO_LARGE', message);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message) {
+    super(415, 'UNSUPPORTED_MEDIA_TYPE', message);
+    this.name = 'UnsupportedMediaTypeError';
+  }
+}
+
+// Every code the API responds with, by HTTP status (used for the OpenAPI document)
+export const ERROR_CODES = {
+  400: [
+    'VALIDATION_FAILED', 'INVALID_JSON', 'INVALID_URL', 'INVALID_SHORTCODE', 'INVALID_REDIRECT_OPTIONS',
+    'INVALID_AVAILABILITY', 'INVALID_ROUTING_RULES', 'INVALID_CURSOR', 'ANALYTICS_RANGE_TOO_LARGE',
+    'INVALID_WEBHOOK', 'INVALID_IMPORT_FILE', 'INVALID_IMPORT_RECORD', 'URL_TOO_LONG', 'SCHEME_NOT_ALLOWED',
+    'INVALID_HOST', 'SELF_REFERENCE', 'CHAINED_SHORT_LINK', 'DOMAIN_BLOCKED', 'DOMAIN_NOT_ALLOWED'
+  ],
+  401: ['MISSING_API_KEY', 'INVALID_API_KEY', 'INVALID_METRICS_TOKEN', 'PASSWORD_REQUIRED'],
+  403: ['ADMIN_REQUIRED', 'LINK_SCHEDULED'],
+  404: ['NOT_FOUND', 'ROUTE_NOT_FOUND'],
+  409: ['SHORTCODE_TAKEN', 'SHORTCODE_COOLING_DOWN', 'SHORTCODE_RESERVED', 'GEOIP_NOT_CONFIGURED'],
+  410: ['LINK_EXPIRED', 'LINK_DELETED', 'LINK_EXHAUSTED'],
+  413: ['PAYLOAD_TOO_LARGE'],
+  415: ['UNSUPPORTED_MEDIA_TYPE'],
+  429: ['RATE_LIMITED'],
+  500: ['INTERNAL_ERROR', 'GEOIP_RELOAD_FAILED']
+};
+
+// Map any error to an HTTP status and response body. Unknown errors become a 500 without internal details.
+export const toErrorResponse = (error) => {
+  let appError = error;
+
+  if (!(error instanceof AppError)) {
+    // Errors raised by express' body parsers
+    if (error.type === 'entity.parse.failed') {
+      appError = new ValidationError('INVALID_JSON', 'Request body is not valid JSON');
+    } else if (error.type === 'entity.too.large') {
+      appError = new PayloadTooLargeError(`Request body exceeds the limit of ${error.limit} bytes`);
+    } else {
+      appError = new AppError(500, 'INTERNAL_ERROR', 'Internal server error');
+    }
+  }
+
+  return {
+    status: appError.status,
+    body: {
+      error: STATUS_CODES[appError.status],
+      code: appError.code,
+      message: appError.message,
+      ...(appError.details && { details: appError.details })
+    }
+  };
+};
@@ -0,0 +1,187 @@
+import { ValidationError } from './errors.js';
+
+// Serialisation of exported links and clicks (CSV, JSON, NDJSON) and parsing of import files
+
+export const EXPORT_FORMATS = {
+  csv: 'text/csv',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson'
+};
+
+// CSV columns and how their cells are converted; JSON and NDJSON carry the records as they are
+export const LINK_COLUMNS = [
+  ['shortcode', 'string'], ['originalUrl', 'string'], ['createdAt', 'string'], ['expiryDate', 'string'],
+  ['validity', 'number'], ['owner', 'string'], ['totalClicks', 'number'], ['activeFrom', 'string'],
+  ['maxClicks', 'number'], ['passwordHash', 'string'], ['redirect', 'json'], ['routingRules', 'json'],
+  ['deletedAt', 'string'], ['archivedAt', 'string']
+];
+
+// Columns of exports for non-admin keys: password hashes can be cracked offline, so they are only exported to
+// admins, who are also the only ones allowed to import
+export const OWNER_LINK_COLUMNS = LINK_COLUMNS.filter(([name]) => name !== 'passwordHash');
+
+export const CLICK_COLUMNS = [
+  ['shortcode', 'string'], ['timestamp', 'string'], ['referrer', 'string'], ['userAgent', 'string'],
+  ['ip', 'string'], ['country', 'string'], ['region', 'string'], ['geolocation', 'string'],
+  ['doNotTrack', 'boolean'], ['rule', 'string'], ['variant', 'string']
+];
+
+// Cells starting with these are run as formulas by spreadsheet programs, so they get a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCell = (value, type) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = type === 'json' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const fromCell = (text, type) => {
+  const value = /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+
+  if (value === '') {
+    return undefined;
+  }
+
+  switch (type) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === 'true';
+    case 'json':
+      return JSON.parse(value);
+    default:
+      return value;
+  }
+};
+
+// Yield the export as text chunks, one per record (plus header/brackets), so it can be streamed
+export function* serializeRecords(records, format, columns) {
+  if (format === 'csv') {
+    yield columns.map(([name]) => name).join(',') + '\r\n';
+    for (const record of records) {
+      yield columns.map(([name, type]) => toCell(record[name], type)).join(',') + '\r\n';
+    }
+    return;
+  }
+
+  if (format === 'ndjson') {
+    for (const record of records) {
+      yield JSON.stringify(record) + '\n';
+    }
+    return;
+  }
+
+  let first = true;
+  yield '[';
+  for (const record of records) {
+    yield (first ? '\n' : ',\n') + JSON.stringify(record);
+    first = false;
+  }
+  yield first ? ']\n' : '\n]\n';
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError('INVALID_IMPORT_FILE', 'Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+};
+
+// Parse an import body into records. format is 'json' (array or { links: [...] }), 'ndjson' or 'csv' (with header row).
+// A record that can't be parsed becomes { parseError } so it is reported for its row instead of failing the import.
+export function parseImport(body, format, columns) {
+  if (format === 'json') {
+    const records = Array.isArray(body) ? body : body?.links;
+    if (!Array.isArray(records)) {
+      throw new ValidationError('INVALID_IMPORT_FILE', 'JSON imports must be an array of links or { "links": [...] }');
+    }
+    return records;
+  }
+
+  const text = String(body ?? '').replace(/^\uFEFF/, '');
+
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/).filter(line => line.trim()).map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { parseError: `Invalid JSON: ${error.message}` };
+      }
+    });
+  }
+
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) {
+    return [];
+  }
+
+  const types = new Map(columns);
+  const unknown = header.filter(name => !types.has(name));
+  if (unknown.length > 0) {
+    throw new ValidationError('INVALID_IMPORT_FILE', `Unknown CSV column(s): ${unknown.join(', ')}`);
+  }
+
+  return rows.map((cells) => {
+    try {
+      const record = {};
+      header.forEach((name, index) => {
+        const value = fromCell(cells[index] ?? '', types.get(name));
+        if (value !== undefined) {
+          record[name] = value;
+        }
+      });
+      return record;
+    } catch (error) {
+      return { parseError: `Invalid CSV value: ${error.message}` };
+    }
+  });
+}
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import { Logger } from '../middleware/logger.js';
+
+// Offline IP geolocation from a local CSV database of CIDR ranges.
+// Each line is "<cidr>,<country>[,<region>]", e.g. "1.0.0.0/24,AU,Queensland" or "2001:db8::/32,NL".
+// Blank lines and lines starting with # are ignored. Ranges are expected not to overlap.
+
+const PRIVATE_RANGES = [
+  '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '127.0.0.0/8', '169.254.0.0/16',
+  '::1/128', 'fc00::/7', 'fe80::/10'
+];
+
+// Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients on dual-stack sockets
+export const normaliseIP = (ip = '') => {
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : ip;
+};
+
+const ipv4ToBigInt = (ip) => ip.split('.').reduce((value, octet) => (value << 8n) + BigInt(Number(octet)), 0n);
+
+const ipv6ToBigInt = (ip) => {
+  let address = ip;
+
+  // Embedded IPv4 tail (e.g. ::ffff:1.2.3.4) becomes two hextets
+  const ipv4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Tail) {
+    const value = ipv4ToBigInt(ipv4Tail[1]);
+    address = address.slice(0, -ipv4Tail[1].length) + `${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  const parts = tail === undefined ? headParts : [...headParts, ...Array(missing).fill('0'), ...tailParts];
+
+  return parts.reduce((value, part) => (value << 16n) + BigInt(parseInt(part || '0', 16)), 0n);
+};
+
+// Parse "address/prefix" into { version, start, end } (BigInt bounds, inclusive)
+export const parseCIDR = (cidr) => {
+  const [address, prefixText] = cidr.trim().split('/');
+  const version = net.isIP(address);
+
+  if (version === 0) {
+    throw new Error(`Invalid IP address in range "${cidr}"`);
+  }
+
+  const bits = version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+    throw new Error(`Invalid prefix length in range "${cidr}"`);
+  }
+
+  const value = version === 4 ? ipv4ToBigInt(address) : ipv6ToBigInt(address);
+  const hostBits = BigInt(bits - prefix);
+  const start = (value >> hostBits) << hostBits;
+  const end = start + (1n << hostBits) - 1n;
+
+  return { version, start, end };
+};
+
+const PRIVATE = PRIVATE_RANGES.map(parseCIDR);
+
+const toBigInt = (ip) => {
+  const version = net.isIP(ip);
+  if (version === 0) {
+    return null;
+  }
+  return { version, value: version === 4 ? ipv4ToBigInt(ip) : ipv6ToBigInt(ip) };
+};
+
+export const isPrivateIP = (ip) => {
+  const parsed = toBigInt(normaliseIP(ip));
+  return Boolean(parsed) && PRIVATE.some(range =>
+    range.version === parsed.version && parsed.value >= range.start && parsed.value <= range.end
+  );
+};
+
+export class GeoIPDatabase {
+  constructor(filePath = null) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.ranges = { 4: [], 6: [] };
+    this.loadedAt = null;
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  get size() {
+    return this.ranges[4].length + this.ranges[6].length;
+  }
+
+  // Read and index the database file. The previous data is only replaced once the new file parsed cleanly.
+  load() {
+    const contents = fs.readFileSync(this.filePath, 'utf8');
+    const ranges = { 4: [], 6: [] };
+
+    for (const [index, line] of contents.split('\n').entries()) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) {
+        continue;
+      }
+
+      const [cidr, country, region = ''] = trimmed.split(',').map(field => field.trim());
+
+      if (!country) {
+        throw new Error(`GeoIP database ${this.filePath} line ${index + 1}: missing country`);
+      }
+
+      try {
+        const { version, start, end } = parseCIDR(cidr);
+        ranges[version].push({ start, end, country, region });
+      } catch (error) {
+        throw new Error(`GeoIP database ${this.filePath} line ${index + 1}: ${error.message}`);
+      }
+    }
+
+    for (const version of [4, 6]) {
+      ranges[version].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    }
+
+    this.ranges = ranges;
+    this.loadedAt = new Date().toISOString();
+
+    Logger.info('GeoIP database loaded', {
+      filePath: this.filePath,
+      ipv4Ranges: ranges[4].length,
+      ipv6Ranges: ranges[6].length
+    });
+
+    return { ipv4Ranges: ranges[4].length, ipv6Ranges: ranges[6].length, loadedAt: this.loadedAt };
+  }
+
+  // Re-read the file, keeping the current data when the new file is broken
+  reload() {
+    if (!this.enabled) {
+      throw new Error('No GeoIP database configured');
+    }
+
+    try {
+      return this.load();
+    } catch (error) {
+      Logger.error('GeoIP database reload failed, keeping previous data', { filePath: this.filePath, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find { country, region } for an IP address, or null when it isn't covered
+  lookup(ip) {
+    const parsed = toBigInt(normaliseIP(ip));
+    if (!parsed) {
+      return null;
+    }
+
+    const ranges = this.ranges[parsed.version];
+    let low = 0;
+    let high = ranges.length - 1;
+
+    // Binary search for the last range starting at or before the address
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (ranges[middle].start <= parsed.value) {
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const candidate = ranges[high];
+    if (candidate && parsed.value <= candidate.end) {
+      return { country: candidate.country, region: candidate.region };
+    }
+
+    return null;
+  }
+}
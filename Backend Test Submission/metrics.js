@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+import { UnauthorizedError } from '../models/errors.js';
+
+// Metrics in the Prometheus text exposition format (version 0.0.4). Counters, gauges and histograms keep one
+// series per combination of label values, so labels must only take a small set of values (route patterns,
+// not URLs). Gauges can be given a collect() function that is called on every scrape instead of being set.
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, from 5ms to 10s
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatValue = (value) => {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+};
+
+// name{a="1",b="2"} value
+const formatSample = (name, labels, value) => {
+  const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`;
+};
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!METRIC_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name "${name}"`);
+    }
+    for (const label of labelNames) {
+      if (!LABEL_NAME_PATTERN.test(label) || label === 'le') {
+        throw new Error(`Invalid label name "${label}" for metric ${name}`);
+      }
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label values joined -> { labels, ... }
+  }
+
+  // The series for a set of label values, created on first use. Labels not given are empty strings.
+  getSeries(labels, create) {
+    const values = this.labelNames.map(label => String(labels[label] ?? ''));
+    const key = values.join('\u0000');
+
+    if (!this.series.has(key)) {
+      this.series.set(key, create(Object.fromEntries(this.labelNames.map((label, index) => [label, values[index]]))));
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`, ...this.samples()].join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot be decreased`);
+    }
+    this.getSeries(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value += value;
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ labels, value }) => formatSample(this.name, labels, value));
+  }
+}
+
+export class Gauge extends Metric {
+  // collect() returns the current values as [{ labels, value }] and replaces anything set before
+  constructor({ collect, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, seriesLabels => ({ labels: seriesLabels, value: 0 })).value = value;
+  }
+
+  samples() {
+    if (this.collect) {
+      this.series.clear();
+      for (const { labels = {}, value } of this.collect()) {
+        this.set(labels, value);
+      }
+    }
+    return [...this.series.values()].map(({ labels, value }) => formatSample(this.name, labels, value));
+  }
+}
+
+// Cumulative histogram: one _bucket series per upper bound (plus +Inf), _sum and _count
+export class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, seriesLabels => ({
+      labels: seriesLabels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    const lines = [];
+
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        lines.push(formatSample(`${this.name}_bucket`, { ...labels, le: formatValue(bound) }, cumulative));
+      });
+      lines.push(formatSample(`${this.name}_bucket`, { ...labels, le: '+Inf' }, count));
+      lines.push(formatSample(`${this.name}_sum`, labels, sum));
+      lines.push(formatSample(`${this.name}_count`, labels, count));
+    }
+
+    return lines;
+  }
+}
+
+// A set of metrics rendered together for one scrape
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  // A metric whose collection fails is left out, so one broken gauge doesn't hide all the others
+  render() {
+    const blocks = [];
+
+    for (const metric of this.metrics.values()) {
+      try {
+        blocks.push(metric.render());
+      } catch (error) {
+        Logger.error('Metric collection failed', { metric: metric.name, error: error.message });
+      }
+    }
+
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+// Optional protection of the metrics endpoint: "Authorization: Bearer <token>". Without a token it is open.
+// Tokens are compared by SHA-256 digest in constant time.
+export const createMetricsAuth = ({ token } = {}) => {
+  const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return next();
+    }
+
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    const given = match ? crypto.createHash('sha256').update(match[1].trim()).digest() : null;
+
+    if (!given || !crypto.timingSafeEqual(given, expected)) {
+      Logger.warn('Metrics access denied', { ip: req.ip, tokenGiven: Boolean(given) });
+      res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+      return next(new UnauthorizedError('INVALID_METRICS_TOKEN', 'Missing or invalid metrics token. Send it as a Bearer token'));
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,149 @@
+import { ERROR_CODES } from '../models/errors.js';
+
+// OpenAPI 3.1 document generated from the route registry in server.js. Each route is
+// { method, path, summary, tags, request: { params, query, body }, responses, consumes, produces,
+//   authenticated, adminOnly, rateLimited, errors }, where request holds the same schemas that validate requests.
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Missing or invalid API key',
+  403: 'Not allowed for this API key',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  410: 'Link no longer redirects',
+  413: 'Request too large',
+  415: 'Unsupported request content type',
+  429: 'Rate limit exceeded (see Retry-After)',
+  500: 'Internal error'
+};
+
+// Express path "/shorturls/:shortcode" -> OpenAPI path "/shorturls/{shortcode}"
+const toOpenAPIPath = (path) => path.replace(/\\/g, '').replace(/:(\w+)/g, '{$1}');
+
+// Plain copy, so the document never shares objects with the validator. The x-error-* keywords are kept:
+// OpenAPI allows extensions and they tell clients which code a problem with that field is reported with.
+const toSchema = (schema) => JSON.parse(JSON.stringify(schema));
+
+const toParameters = (location, schema) => Object.entries(schema?.properties || {}).map(([name, property]) => {
+  const { description, ...propertySchema } = toSchema(property);
+  return {
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description && { description }),
+    ...(propertySchema.type === 'array' && { style: 'form', explode: false }),
+    schema: propertySchema
+  };
+});
+
+const toOperation = (route) => {
+  const { request = {}, responses = {}, consumes = ['application/json'], produces = ['application/json'] } = route;
+
+  const operation = {
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    ...(route.tags && { tags: route.tags }),
+    parameters: [...toParameters('path', request.params), ...toParameters('query', request.query)],
+    responses: {}
+  };
+
+  if (request.body || route.consumes) {
+    const schema = request.body ? toSchema(request.body) : {};
+    operation.requestBody = {
+      required: Boolean(request.body?.required || !request.body),
+      content: Object.fromEntries(consumes.map(type => [type, { schema }]))
+    };
+  }
+
+  const errorStatuses = new Set(route.errors || []);
+
+  for (const [status, description] of Object.entries(responses)) {
+    // Error responses are documented below with the error schema
+    if (Number(status) >= 400) {
+      errorStatuses.add(Number(status));
+      continue;
+    }
+
+    const hasBody = Number(status) !== 204 && (Number(status) < 300 || Number(status) >= 400);
+    operation.responses[status] = {
+      description,
+      ...(hasBody && { content: Object.fromEntries(produces.map(type => [type, {}])) })
+    };
+  }
+
+  if (request.params || request.query || request.body) {
+    errorStatuses.add(400);
+  }
+  if (route.authenticated) {
+    errorStatuses.add(401);
+    operation.security = [{ apiKey: [] }, { bearer: [] }];
+  }
+  if (route.adminOnly) {
+    errorStatuses.add(403);
+    operation.description = [operation.description, 'Requires an admin API key.'].filter(Boolean).join(' ');
+  }
+  if (route.rateLimited) {
+    errorStatuses.add(429);
+  }
+  errorStatuses.add(500);
+
+  // Routes serving browsers may answer errors with an HTML page instead of the JSON error body
+  for (const status of [...errorStatuses].sort()) {
+    operation.responses[status] = {
+      description: responses[status] || ERROR_DESCRIPTIONS[status],
+      content: {
+        'application/json': { schema: { $ref: `#/components/schemas/Error${status}` } },
+        ...(produces.includes('text/html') && { 'text/html': {} })
+      }
+    };
+  }
+
+  return operation;
+};
+
+export function buildOpenAPIDocument({ routes, title, version, serverUrl }) {
+  const paths = {};
+
+  for (const route of routes) {
+    const path = toOpenAPIPath(route.path);
+    paths[path] = { ...paths[path], [route.method]: toOperation(route) };
+  }
+
+  // One error schema per status, listing the codes that status can carry
+  const errorSchemas = Object.fromEntries(Object.entries(ERROR_CODES).map(([status, codes]) => [`Error${status}`, {
+    type: 'object',
+    required: ['error', 'code', 'message'],
+    properties: {
+      error: { type: 'string', description: 'HTTP status text' },
+      code: { type: 'string', enum: codes, description: 'Stable machine-readable error code' },
+      message: { type: 'string', description: 'Human readable explanation' },
+      requestId: { type: 'string', description: 'Id of the request, also sent in the X-Request-Id header' },
+      details: {
+        type: 'array',
+        description: 'Individual validation problems',
+        items: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['params', 'query', 'body'] },
+            path: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }]));
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: errorSchemas,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+}
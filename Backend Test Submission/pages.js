@@ -0,0 +1,115 @@
+// Small server-rendered HTML pages shown to visitors of short links
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared page shell so every visitor-facing page carries the same branding
+const renderPage = ({ brandName, title, body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - ${escapeHtml(brandName)}</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #333; }
+    .card { background: white; border-radius: 12px; padding: 40px; max-width: 480px; width: calc(100% - 80px);
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2); text-align: center; }
+    .brand { color: #667eea; font-weight: bold; margin-bottom: 20px; }
+    h1 { font-size: 1.5rem; margin: 0 0 15px; }
+    p { color: #6c757d; line-height: 1.5; }
+    code { background: #f8f9fa; padding: 2px 6px; border-radius: 4px; }
+  </style>
+</head>
+<body>
+  <main class="card">
+    <div class="brand">${escapeHtml(brandName)}</div>
+    ${body}
+  </main>
+</body>
+</html>`;
+
+// Interstitial asking for the password of a protected link. The form posts back to the same URL.
+export function renderPasswordPage({ brandName, shortcode, referrer = '', error = null }) {
+  return renderPage({
+    brandName,
+    title: 'Password required',
+    body: `<h1>This link is password protected</h1>
+    <p>Enter the password for <code>${escapeHtml(shortcode)}</code> to continue.</p>
+    ${error ? `<p style="color: #dc3545;">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="">
+      <input type="hidden" name="referrer" value="${escapeHtml(referrer)}">
+      <input type="password" name="password" autocomplete="current-password" required autofocus
+        style="width: 100%; box-sizing: border-box; padding: 12px; border: 2px solid #e9ecef; border-radius: 6px; margin-bottom: 15px;">
+      <button type="submit"
+        style="width: 100%; padding: 12px; border: none; border-radius: 6px; background: #667eea; color: white; font-weight: bold; cursor: pointer;">
+        Continue
+      </button>
+    </form>`
+  });
+}
+
+export function renderExpiredPage({ brandName, shortcode, expiredAt }) {
+  return renderPage({
+    brandName,
+    title: 'Link expired',
+    body: `<h1>This link has expired</h1>
+    <p>The short link <code>${escapeHtml(shortcode)}</code> is no longer active${expiredAt
+      ? ` (it expired on ${escapeHtml(new Date(expiredAt).toUTCString())})` : ''}.</p>
+    <p>Please contact the person who shared it with you for an updated link.</p>`
+  });
+}
+
+export function renderDeletedPage({ brandName, shortcode, deletedAt }) {
+  return renderPage({
+    brandName,
+    title: 'Link deleted',
+    body: `<h1>This link has been deleted</h1>
+    <p>The short link <code>${escapeHtml(shortcode)}</code> was deleted${deletedAt
+      ? ` on ${escapeHtml(new Date(deletedAt).toUTCString())}` : ''} and no longer works.</p>
+    <p>Please contact the person who shared it with you for an updated link.</p>`
+  });
+}
+
+export function renderScheduledPage({ brandName, shortcode, activeFrom }) {
+  return renderPage({
+    brandName,
+    title: 'Link not active yet',
+    body: `<h1>This link is not active yet</h1>
+    <p>The short link <code>${escapeHtml(shortcode)}</code> goes live on ${escapeHtml(new Date(activeFrom).toUTCString())}.</p>
+    <p>Please come back then.</p>`
+  });
+}
+
+export function renderExhaustedPage({ brandName, shortcode }) {
+  return renderPage({
+    brandName,
+    title: 'Link no longer available',
+    body: `<h1>This link has been used up</h1>
+    <p>The short link <code>${escapeHtml(shortcode)}</code> has reached its maximum number of visits.</p>
+    <p>Please contact the person who shared it with you for an updated link.</p>`
+  });
+}
+
+// Shows where a short link goes before the visitor follows it. continueUrl records the click and redirects.
+export function renderPreviewPage({ brandName, shortcode, destination, createdAt, expiryDate, continueUrl }) {
+  return renderPage({
+    brandName,
+    title: 'Link preview',
+    body: `<h1>You are about to leave ${escapeHtml(brandName)}</h1>
+    <p>The short link <code>${escapeHtml(shortcode)}</code> leads to:</p>
+    <p style="word-break: break-all; color: #333; font-weight: bold;">${escapeHtml(destination)}</p>
+    <p style="font-size: 0.9rem;">Created ${escapeHtml(new Date(createdAt).toUTCString())}<br>
+      Expires ${escapeHtml(new Date(expiryDate).toUTCString())}</p>
+    <a href="${escapeHtml(continueUrl)}" rel="noreferrer"
+      style="display: block; padding: 12px; border-radius: 6px; background: #667eea; color: white; font-weight: bold; text-decoration: none;">
+      Continue to destination
+    </a>`
+  });
+}
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+// scrypt is deliberately slow, so it runs on the libuv thread pool instead of blocking the event loop
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const SALT_BYTES = 16;
+
+const HASH_PATTERN = new RegExp(`^scrypt\\$[0-9a-f]{${SALT_BYTES * 2}}\\$[0-9a-f]{${KEY_LENGTH * 2}}$`);
+
+// True for a hash in the exact format hashPassword produces (e.g. one taken from an export)
+export function isPasswordHash(value) {
+  return typeof value === 'string' && HASH_PATTERN.test(value);
+}
+
+// Hash a link password with scrypt and a random salt. Stored as "scrypt$<salt>$<hash>" (hex).
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = (await scrypt(password, salt, KEY_LENGTH)).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Check a password against a stored hash in constant time
+export async function verifyPassword(password, storedHash) {
+  if (!isPasswordHash(storedHash)) {
+    return false;
+  }
+
+  const [, salt, hash] = storedHash.split('$');
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+import net from 'net';
+import { normaliseIP } from './geoip.js';
+import { truncateIP } from '../middleware/logger.js';
+
+export const IP_ANONYMIZATION_MODES = ['none', 'truncate', 'hash'];
+
+// Apply the configured anonymisation to a client IP before it is stored.
+// "hash" uses a keyed hash so the same visitor still counts once, but the address can't be recovered.
+export function anonymizeIP(ip, { mode = 'none', salt = '' } = {}) {
+  if (!ip || mode === 'none') {
+    return ip;
+  }
+
+  const address = normaliseIP(ip);
+
+  // Truncation is shared with log masking (which keeps non-addresses); here anything else is not stored
+  if (mode === 'truncate') {
+    return net.isIP(address) ? truncateIP(address) : '';
+  }
+
+  return `hash:${crypto.createHmac('sha256', salt).update(address).digest('hex').slice(0, 16)}`;
+}
@@ -0,0 +1,19 @@
+import QRCode from 'qrcode';
+
+// QR codes for short links, rendered locally (no external service is involved)
+
+export const QR_FORMATS = { svg: 'image/svg+xml', png: 'image/png' };
+export const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+export const QR_SIZE_LIMITS = { min: 64, max: 2048 };
+export const QR_MAX_MARGIN = 16;
+
+// Render text as a QR code. size is the image width in pixels, margin the quiet zone in modules.
+export async function renderQRCode(text, { format = 'svg', size = 512, margin = 4, errorCorrection = 'M' } = {}) {
+  const options = { width: size, margin, errorCorrectionLevel: errorCorrection };
+
+  const body = format === 'png'
+    ? await QRCode.toBuffer(text, { ...options, type: 'png' })
+    : await QRCode.toString(text, { ...options, type: 'svg' });
+
+  return { contentType: QR_FORMATS[format], body };
+}
@@ -0,0 +1,150 @@
+import { Logger } from './logger.js';
+
+// Buckets kept per limiter; past this the least recently created is dropped to bound memory
+const DEFAULT_MAX_BUCKETS = 10000;
+
+// Token bucket: holds up to `limit` tokens and refills at limit / windowSeconds tokens per second
+class TokenBucket {
+  constructor(limit, windowSeconds) {
+    this.limit = limit;
+    this.refillPerMs = limit / (windowSeconds * 1000);
+    this.tokens = limit;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    const elapsed = now - this.updatedAt;
+    this.tokens = Math.min(this.limit, this.tokens + elapsed * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until `cost` tokens are available (0 when they are available now)
+  waitTime(cost) {
+    return this.tokens >= cost ? 0 : Math.ceil((cost - this.tokens) / this.refillPerMs);
+  }
+
+  take(cost) {
+    this.tokens -= cost;
+  }
+
+  // Milliseconds until the bucket is full again
+  msUntilFull() {
+    return Math.ceil((this.limit - this.tokens) / this.refillPerMs);
+  }
+}
+
+// Create a rate limiting middleware for one budget (e.g. "create", "redirect", "statistics").
+// Every request draws from a per-IP bucket and, when `keyId(req)` returns the id of an accepted API key
+// (see authenticate.keyId), from a per-key bucket. At most `maxBuckets` buckets are kept.
+// `rate` is { limit, windowSeconds } or null to disable the budget; `cost(req)` lets a request
+// consume more than one token (batch creation). A request costing more than the bucket size can never be
+// served and is rejected without Retry-After. `scope(req)` narrows the buckets further (e.g. per shortcode)
+// and `onLimited(req, res, retryAfter)` replaces the JSON 429 body.
+export const createRateLimiter = ({
+  name, rate, cost = () => 1, scope = () => '', keyId = () => null, onLimited = null, maxBuckets = DEFAULT_MAX_BUCKETS
+}) => {
+  if (!rate) {
+    return (req, res, next) => next();
+  }
+
+  const { limit, windowSeconds } = rate;
+  const buckets = new Map(); // "ip:<address>" | "key:<key id>" -> TokenBucket, oldest first
+
+  // Full buckets carry no state worth keeping; drop them so idle clients don't accumulate
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [id, bucket] of buckets) {
+      bucket.refill(now);
+      if (bucket.tokens >= bucket.limit) {
+        buckets.delete(id);
+      }
+    }
+  }, windowSeconds * 1000);
+  sweep.unref();
+
+  const getBucket = (id) => {
+    let bucket = buckets.get(id);
+    if (!bucket) {
+      if (buckets.size >= maxBuckets) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      bucket = new TokenBucket(limit, windowSeconds);
+      buckets.set(id, bucket);
+    }
+    return bucket;
+  };
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const requestCost = Math.max(cost(req), 1);
+    const key = keyId(req);
+
+    const prefix = scope(req);
+    const ids = [`${prefix}ip:${req.ip}`];
+    if (key) {
+      ids.push(`${prefix}key:${key}`);
+    }
+
+    const bucketsForRequest = ids.map(getBucket);
+
+    // Check every bucket before consuming so a rejected request doesn't drain the others
+    const waitMs = requestCost > limit ? Infinity : Math.max(...bucketsForRequest.map(bucket => {
+      bucket.refill(now);
+      return bucket.waitTime(requestCost);
+    }));
+
+    const tightest = bucketsForRequest.reduce((min, bucket) => (bucket.tokens < min.tokens ? bucket : min));
+
+    res.set('RateLimit-Limit', String(limit));
+
+    if (waitMs === Infinity) {
+      Logger.warn('Request exceeds rate limit budget', { budget: name, method: req.method, url: req.url, ip: req.ip, cost: requestCost, limit });
+
+      res.status(429);
+      return res.json({
+        error: 'Too Many Requests',
+        code: 'RATE_LIMITED',
+        message: `Request costs ${requestCost} ${name} requests, more than the limit of ${limit} per ${windowSeconds} seconds. Split it into smaller requests`,
+        requestId: req.id
+      });
+    }
+
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+
+      Logger.warn('Request throttled', {
+        budget: name,
+        method: req.method,
+        url: req.url,
+        ip: req.ip,
+        apiKey: Boolean(key),
+        cost: requestCost,
+        retryAfter
+      });
+
+      res.set('Retry-After', String(retryAfter));
+      res.set('RateLimit-Remaining', '0');
+      res.set('RateLimit-Reset', String(retryAfter));
+      res.status(429);
+
+      if (onLimited) {
+        return onLimited(req, res, retryAfter);
+      }
+
+      return res.json({
+        error: 'Too Many Requests',
+        code: 'RATE_LIMITED',
+        message: `Rate limit exceeded for ${name} requests. Try again in ${retryAfter} seconds`,
+        requestId: req.id
+      });
+    }
+
+    for (const bucket of bucketsForRequest) {
+      bucket.take(requestCost);
+    }
+
+    res.set('RateLimit-Remaining', String(Math.floor(tightest.tokens)));
+    res.set('RateLimit-Reset', String(Math.ceil(tightest.msUntilFull() / 1000)));
+    next();
+  };
+};
@@ -0,0 +1,114 @@
+import { ValidationError } from './errors.js';
+
+// Per-link redirect behaviour: status code, query string passthrough, UTM tagging and forced preview
+
+export const REDIRECT_STATUS_CODES = [301, 302, 307, 308];
+
+// none: drop the incoming query string (default)
+// preserve: add incoming parameters the destination doesn't already define
+// override: incoming parameters replace destination parameters with the same name
+export const QUERY_PASSTHROUGH_MODES = ['none', 'preserve', 'override'];
+
+export const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+const MAX_UTM_LENGTH = 200;
+
+const invalid = (message) => new ValidationError('INVALID_REDIRECT_OPTIONS', message);
+
+export const DEFAULT_REDIRECT_OPTIONS = Object.freeze({
+  statusCode: 302,
+  queryPassthrough: 'none',
+  utm: null,
+  forcePreview: false
+});
+
+// Validate redirect options from a create request and return the normalised form stored on the link
+export function normaliseRedirectOptions({ redirectType, queryPassthrough, utm, forcePreview } = {}) {
+  const options = { ...DEFAULT_REDIRECT_OPTIONS };
+
+  if (redirectType !== undefined) {
+    const statusCode = Number(redirectType);
+    if (!REDIRECT_STATUS_CODES.includes(statusCode)) {
+      throw invalid(`redirectType must be one of ${REDIRECT_STATUS_CODES.join(', ')}`);
+    }
+    options.statusCode = statusCode;
+  }
+
+  if (queryPassthrough !== undefined) {
+    if (!QUERY_PASSTHROUGH_MODES.includes(queryPassthrough)) {
+      throw invalid(`queryPassthrough must be one of ${QUERY_PASSTHROUGH_MODES.join(', ')}`);
+    }
+    options.queryPassthrough = queryPassthrough;
+  }
+
+  if (utm !== undefined && utm !== null) {
+    if (typeof utm !== 'object' || Array.isArray(utm)) {
+      throw invalid(`utm must be an object with any of ${UTM_FIELDS.join(', ')}`);
+    }
+
+    const unknown = Object.keys(utm).filter(field => !UTM_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw invalid(`unknown utm field(s) ${unknown.join(', ')}`);
+    }
+
+    const tags = {};
+    for (const field of UTM_FIELDS) {
+      const value = utm[field];
+      if (value === undefined || value === '') {
+        continue;
+      }
+      if (typeof value !== 'string' || value.length > MAX_UTM_LENGTH) {
+        throw invalid(`utm.${field} must be a string of at most ${MAX_UTM_LENGTH} characters`);
+      }
+      tags[field] = value;
+    }
+
+    options.utm = Object.keys(tags).length > 0 ? tags : null;
+  }
+
+  // Every visit shows the preview page first instead of redirecting straight away
+  if (forcePreview !== undefined) {
+    if (typeof forcePreview !== 'boolean') {
+      throw invalid('forcePreview must be true or false');
+    }
+    options.forcePreview = forcePreview;
+  }
+
+  return options;
+}
+
+// Build the final destination for a visit: UTM tags are added where the destination doesn't set them,
+// then the incoming query string is merged according to the link's passthrough mode.
+export function buildDestinationURL(originalUrl, redirect = DEFAULT_REDIRECT_OPTIONS, incomingSearch = '') {
+  const { queryPassthrough = 'none', utm = null } = redirect;
+
+  if (!utm && (queryPassthrough === 'none' || !incomingSearch)) {
+    return originalUrl;
+  }
+
+  const destination = new URL(originalUrl);
+
+  for (const [field, value] of Object.entries(utm || {})) {
+    if (!destination.searchParams.has(`utm_${field}`)) {
+      destination.searchParams.set(`utm_${field}`, value);
+    }
+  }
+
+  if (queryPassthrough !== 'none') {
+    const incoming = new URLSearchParams(incomingSearch);
+
+    for (const name of new Set(incoming.keys())) {
+      if (queryPassthrough === 'preserve' && destination.searchParams.has(name)) {
+        continue;
+      }
+
+      // Repeated parameters (?tag=a&tag=b) are forwarded as-is
+      destination.searchParams.delete(name);
+      for (const value of incoming.getAll(name)) {
+        destination.searchParams.append(name, value);
+      }
+    }
+  }
+
+  return destination.href;
+}
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import { parseUserAgent } from './analytics.js';
+import { ValidationError } from './errors.js';
+
+// Rule-based destination routing. A link may carry an ordered list of rules; the first rule whose
+// conditions all match the visitor decides the destination, otherwise the link's originalUrl is used.
+//
+//   { "name": "ios", "match": { "os": "iOS" }, "url": "https://apps.apple.com/..." }
+//   { "name": "german", "match": { "language": ["de"] }, "url": "https://example.com/de" }
+//   { "name": "launch-test", "variants": [{ "name": "A", "url": "...", "weight": 70 }, { "name": "B", "url": "...", "weight": 30 }] }
+//
+// Conditions: device (desktop, mobile, tablet, ...), os (iOS, Android, ...), language (primary tag such as
+// "de" or a full tag such as "pt-BR", compared with the visitor's most preferred Accept-Language) and
+// country (ISO code from the GeoIP database). A rule without "match" always matches.
+
+export const MAX_ROUTING_RULES = 20;
+export const MAX_VARIANTS = 10;
+export const MATCH_FIELDS = ['device', 'os', 'language', 'country'];
+
+const RULE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+
+const invalid = (message) => new ValidationError('INVALID_ROUTING_RULES', message);
+
+const normaliseMatch = (match, label) => {
+  if (match === undefined || match === null) {
+    return {};
+  }
+
+  if (typeof match !== 'object' || Array.isArray(match)) {
+    throw invalid(`${label}.match must be an object`);
+  }
+
+  const unknown = Object.keys(match).filter(field => !MATCH_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw invalid(`${label}.match has unknown field(s) ${unknown.join(', ')}. Allowed: ${MATCH_FIELDS.join(', ')}`);
+  }
+
+  const conditions = {};
+  for (const field of MATCH_FIELDS) {
+    if (match[field] === undefined) {
+      continue;
+    }
+
+    const values = Array.isArray(match[field]) ? match[field] : [match[field]];
+    if (values.length === 0 || values.some(value => typeof value !== 'string' || !value.trim())) {
+      throw invalid(`${label}.match.${field} must be a non-empty string or list of strings`);
+    }
+
+    conditions[field] = values.map(value => value.trim().toLowerCase());
+  }
+
+  return conditions;
+};
+
+// Validate the rules of a create request. validateURL applies the usual destination policy to every URL.
+export function normaliseRoutingRules(rules, validateURL) {
+  if (rules === undefined || rules === null) {
+    return [];
+  }
+
+  if (!Array.isArray(rules)) {
+    throw invalid('routingRules must be an array');
+  }
+
+  if (rules.length > MAX_ROUTING_RULES) {
+    throw invalid(`at most ${MAX_ROUTING_RULES} rules are allowed`);
+  }
+
+  const names = new Set();
+
+  return rules.map((rule, index) => {
+    const label = `rule ${index + 1}`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw invalid(`${label} must be an object`);
+    }
+
+    const name = rule.name ?? `rule-${index + 1}`;
+    if (typeof name !== 'string' || !RULE_NAME_PATTERN.test(name)) {
+      throw invalid(`${label}.name must be 1-40 letters, digits, "-" or "_"`);
+    }
+    if (names.has(name)) {
+      throw invalid(`duplicate rule name "${name}"`);
+    }
+    names.add(name);
+
+    const normalised = { name, match: normaliseMatch(rule.match, label) };
+
+    if ((rule.url === undefined) === (rule.variants === undefined)) {
+      throw invalid(`${label} needs either url or variants`);
+    }
+
+    if (rule.url !== undefined) {
+      if (typeof rule.url !== 'string') {
+        throw invalid(`${label}.url must be a string`);
+      }
+      validateURL(rule.url);
+      normalised.url = rule.url;
+      return normalised;
+    }
+
+    if (!Array.isArray(rule.variants) || rule.variants.length < 2 || rule.variants.length > MAX_VARIANTS) {
+      throw invalid(`${label}.variants must list between 2 and ${MAX_VARIANTS} destinations`);
+    }
+
+    const variantNames = new Set();
+    normalised.variants = rule.variants.map((variant, variantIndex) => {
+      const variantLabel = `${label} variant ${variantIndex + 1}`;
+
+      if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        throw invalid(`${variantLabel} must be an object`);
+      }
+
+      const variantName = variant.name ?? String.fromCharCode(65 + variantIndex); // A, B, C...
+      const weight = variant.weight ?? 1;
+
+      if (typeof variantName !== 'string' || !RULE_NAME_PATTERN.test(variantName) || variantNames.has(variantName)) {
+        throw invalid(`${variantLabel} needs a unique name of 1-40 letters, digits, "-" or "_"`);
+      }
+      variantNames.add(variantName);
+
+      if (typeof variant.url !== 'string') {
+        throw invalid(`${variantLabel}.url must be a string`);
+      }
+      if (!Number.isInteger(weight) || weight < 1 || weight > 1000) {
+        throw invalid(`${variantLabel}.weight must be an integer between 1 and 1000`);
+      }
+
+      validateURL(variant.url);
+      return { name: variantName, url: variant.url, weight };
+    });
+
+    return normalised;
+  });
+}
+
+// Most preferred language of an Accept-Language header ("de-AT,de;q=0.9,en;q=0.5" -> "de-at"), or null
+export const preferredLanguage = (acceptLanguage = '') => {
+  const languages = acceptLanguage.split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: quality ? Number(quality.slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  return languages.length > 0 ? languages[0].tag : null;
+};
+
+// "de" matches de, de-AT, de-CH...; "pt-br" only matches pt-BR
+const matchesLanguage = (language, wanted) => language === wanted || language.startsWith(`${wanted}-`);
+
+const matchesRule = (match, visitor) => Object.entries(match).every(([field, values]) => {
+  const value = visitor[field];
+  if (!value) {
+    return false;
+  }
+  return field === 'language'
+    ? values.some(wanted => matchesLanguage(value, wanted))
+    : values.includes(value);
+});
+
+// Weighted choice that is stable per visitor, so repeat visits land on the same variant
+const pickVariant = (variants, visitorKey) => {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = crypto.createHash('sha256').update(visitorKey).digest().readUInt32BE(0) % total;
+
+  let cumulative = 0;
+  return variants.find((variant) => {
+    cumulative += variant.weight;
+    return point < cumulative;
+  });
+};
+
+// Pick the destination for a visitor: { url, rule, variant } where rule/variant are null for the default
+export function routeVisitor(urlData, { userAgent = '', acceptLanguage = '', country = null, visitorKey = '' } = {}) {
+  const rules = urlData.routingRules || [];
+
+  if (rules.length === 0) {
+    return { url: urlData.originalUrl, rule: null, variant: null };
+  }
+
+  const agent = parseUserAgent(userAgent);
+  const visitor = {
+    device: agent.device.toLowerCase(),
+    os: agent.os.toLowerCase(),
+    language: preferredLanguage(acceptLanguage),
+    country: country ? country.toLowerCase() : null
+  };
+
+  for (const rule of rules) {
+    if (!matchesRule(rule.match, visitor)) {
+      continue;
+    }
+
+    if (rule.url) {
+      return { url: rule.url, rule: rule.name, variant: null };
+    }
+
+    const variant = pickVariant(rule.variants, `${urlData.shortcode}|${rule.name}|${visitorKey}`);
+    return { url: variant.url, rule: rule.name, variant: variant.name };
+  }
+
+  return { url: urlData.originalUrl, rule: null, variant: null };
+}
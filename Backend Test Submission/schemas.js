@@ -0,0 +1,268 @@
+import { REDIRECT_STATUS_CODES, QUERY_PASSTHROUGH_MODES, UTM_FIELDS } from './models/redirects.js';
+import { MATCH_FIELDS, MAX_ROUTING_RULES, MAX_VARIANTS } from './models/routing.js';
+import { BUCKET_SIZES } from './models/analytics.js';
+import { QR_FORMATS, QR_ERROR_CORRECTION_LEVELS, QR_SIZE_LIMITS, QR_MAX_MARGIN } from './models/qr.js';
+import { EXPORT_FORMATS } from './models/exportFormats.js';
+import { WEBHOOK_EVENTS } from './models/webhooks.js';
+import { URL_SORT_FIELDS, MAX_VALIDITY_MINUTES } from './models/urlStore.js';
+
+// Request schemas of every route: { params, query, body, rules } as taken by the validate middleware.
+// They are the single description of the API's input: requests are checked against them and they are
+// published unchanged in the OpenAPI document. Deeper checks (URL policy, routing rule semantics,
+// shortcode availability) stay in the models, which report them with the same error codes.
+
+export const MIN_PASSWORD_LENGTH = 4;
+export const MAX_PASSWORD_LENGTH = 128;
+export const LINK_STATUSES = ['active', 'expired', 'scheduled', 'exhausted'];
+export const MAX_STATISTICS_PAGE_SIZE = 500;
+
+const dateTime = (description) => ({ type: 'string', format: 'date-time', description });
+
+const password = {
+  type: 'string',
+  minLength: MIN_PASSWORD_LENGTH,
+  maxLength: MAX_PASSWORD_LENGTH,
+  description: 'Visitors must enter this password before they are redirected'
+};
+
+// from/to filters are a half-open [from, to) range
+const dateRangeRule = ({ query }) => (query.from && query.to && query.from >= query.to ? 'from must be before to' : null);
+
+const shortcodeParams = {
+  type: 'object',
+  required: ['shortcode'],
+  properties: {
+    shortcode: { type: 'string', description: 'Shortcode of the link' }
+  }
+};
+
+const webhookParams = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string', description: 'Webhook subscription id' }
+  }
+};
+
+const routingRule = {
+  type: 'object',
+  description: 'First matching rule decides the destination; give either url or variants (weighted A/B split)',
+  properties: {
+    name: { type: 'string', pattern: '^[a-zA-Z0-9_-]{1,40}$' },
+    match: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(MATCH_FIELDS.map(field => [field, {
+        anyOf: [{ type: 'string' }, { type: 'array', minItems: 1, items: { type: 'string' } }]
+      }]))
+    },
+    url: { type: 'string' },
+    variants: {
+      type: 'array',
+      minItems: 2,
+      maxItems: MAX_VARIANTS,
+      items: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+          name: { type: 'string', pattern: '^[a-zA-Z0-9_-]{1,40}$' },
+          url: { type: 'string' },
+          weight: { type: 'integer', minimum: 1, maximum: 1000, default: 1 }
+        }
+      }
+    }
+  }
+};
+
+// Body of a create request; also applied to every item of a batch
+export const createShortURLBody = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: { type: 'string', minLength: 1, description: 'Destination URL', example: 'https://example.com/some/long/path' },
+    validity: {
+      type: 'integer',
+      minimum: 1,
+      maximum: MAX_VALIDITY_MINUTES,
+      description: 'Minutes until the link expires (default from the server configuration)'
+    },
+    shortcode: {
+      type: 'string',
+      pattern: '^[a-zA-Z0-9]{1,20}$',
+      'x-error-code': 'INVALID_SHORTCODE',
+      description: 'Custom shortcode; generated when omitted'
+    },
+    password,
+    redirectType: { type: 'integer', enum: REDIRECT_STATUS_CODES, default: 302, 'x-error-code': 'INVALID_REDIRECT_OPTIONS' },
+    queryPassthrough: { type: 'string', enum: QUERY_PASSTHROUGH_MODES, default: 'none', 'x-error-code': 'INVALID_REDIRECT_OPTIONS' },
+    utm: {
+      type: ['object', 'null'],
+      additionalProperties: false,
+      properties: Object.fromEntries(UTM_FIELDS.map(field => [field, { type: 'string', maxLength: 200 }])),
+      'x-error-code': 'INVALID_REDIRECT_OPTIONS',
+      description: 'UTM tags added to the destination where it does not set them'
+    },
+    forcePreview: { type: 'boolean', default: false, 'x-error-code': 'INVALID_REDIRECT_OPTIONS' },
+    activeFrom: { ...dateTime('The link does not redirect before this time'), type: ['string', 'null'], 'x-error-code': 'INVALID_AVAILABILITY' },
+    maxClicks: { type: ['integer', 'null'], minimum: 1, 'x-error-code': 'INVALID_AVAILABILITY', description: 'The link stops redirecting after this many clicks' },
+    routingRules: { type: 'array', maxItems: MAX_ROUTING_RULES, items: routingRule, 'x-error-code': 'INVALID_ROUTING_RULES' }
+  }
+};
+
+export const createShortURLRequest = { body: createShortURLBody };
+
+export const batchCreateRequest = {
+  body: {
+    anyOf: [
+      { type: 'array', minItems: 1 },
+      { type: 'object', required: ['items'], properties: { items: { type: 'array', minItems: 1 } } }
+    ],
+    'x-error-message': 'must be a non-empty array of create requests or { "items": [...] }',
+    description: 'Create requests (same fields as POST /shorturls); each item is validated and created independently'
+  }
+};
+
+export const updateShortURLRequest = {
+  params: shortcodeParams,
+  body: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', minLength: 1, description: 'New destination URL' },
+      validity: { type: 'integer', minimum: 1, maximum: MAX_VALIDITY_MINUTES, description: 'New expiry in minutes from now' },
+      expiryDate: dateTime('New expiry date'),
+      password: { ...password, type: ['string', 'null'], description: 'New password, or null to remove it' }
+    }
+  },
+  rules: [
+    ({ body }) => (['url', 'validity', 'expiryDate', 'password'].some(field => body[field] !== undefined)
+      ? null
+      : 'Provide at least one of: url, validity, expiryDate, password'),
+    ({ body }) => (body.validity !== undefined && body.expiryDate !== undefined ? 'Provide either validity or expiryDate, not both' : null),
+    ({ body }) => (body.expiryDate !== undefined && new Date(body.expiryDate) <= new Date() ? 'expiryDate must be in the future' : null)
+  ]
+};
+
+export const deleteShortURLRequest = {
+  params: shortcodeParams,
+  query: {
+    type: 'object',
+    properties: {
+      purge: { type: 'boolean', default: false, description: 'Also remove the link\'s analytics' }
+    }
+  }
+};
+
+export const shortURLRequest = { params: shortcodeParams };
+
+export const analyticsRequest = {
+  params: shortcodeParams,
+  query: {
+    type: 'object',
+    properties: {
+      from: dateTime('Start of the range (default: link creation)'),
+      to: dateTime('End of the range (default: now)'),
+      bucket: { type: 'string', enum: Object.keys(BUCKET_SIZES), default: 'hour' },
+      top: { type: 'integer', minimum: 1, maximum: 100, default: 10, description: 'Length of the top referrers/countries/... lists' }
+    }
+  },
+  rules: [dateRangeRule]
+};
+
+export const qrCodeRequest = {
+  params: shortcodeParams,
+  query: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: Object.keys(QR_FORMATS), default: 'svg' },
+      size: { type: 'integer', minimum: QR_SIZE_LIMITS.min, maximum: QR_SIZE_LIMITS.max, default: 512, description: 'Width in pixels' },
+      margin: { type: 'integer', minimum: 0, maximum: QR_MAX_MARGIN, default: 4, description: 'Quiet zone in modules' },
+      ecc: { type: 'string', enum: QR_ERROR_CORRECTION_LEVELS, default: 'M', description: 'Error correction level' },
+      download: { type: 'boolean', default: false, description: 'Send as an attachment' }
+    }
+  }
+};
+
+export const statisticsRequest = {
+  query: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: MAX_STATISTICS_PAGE_SIZE, default: 50 },
+      cursor: { type: 'string', description: 'nextCursor of the previous page (same filters and sort)' },
+      q: { type: 'string', maxLength: 200, description: 'Search in shortcodes and destination URLs' },
+      status: { type: 'array', items: { type: 'string', enum: LINK_STATUSES }, description: 'Comma separated statuses' },
+      from: dateTime('Created at or after'),
+      to: dateTime('Created before'),
+      sort: { type: 'string', enum: Object.keys(URL_SORT_FIELDS), default: 'createdAt' },
+      order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+    }
+  },
+  rules: [dateRangeRule]
+};
+
+const exportQuery = {
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'json' },
+    from: dateTime('Start of the range (inclusive)'),
+    to: dateTime('End of the range (exclusive)')
+  }
+};
+
+export const exportLinksRequest = { query: exportQuery, rules: [dateRangeRule] };
+
+export const exportClicksRequest = {
+  query: {
+    ...exportQuery,
+    properties: {
+      ...exportQuery.properties,
+      shortcode: { type: 'string', description: 'Only clicks of this link' }
+    }
+  },
+  rules: [dateRangeRule]
+};
+
+export const subscribeWebhookRequest = {
+  body: {
+    type: 'object',
+    required: ['url'],
+    'x-error-code': 'INVALID_WEBHOOK',
+    properties: {
+      url: { type: 'string', format: 'uri', description: 'http(s) URL receiving signed POST deliveries' },
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] }, default: ['*'] },
+      secret: { type: 'string', minLength: 16, maxLength: 256, description: 'Signing secret; generated when omitted' }
+    }
+  }
+};
+
+export const webhookRequest = { params: webhookParams };
+
+export const webhookDeliveriesRequest = {
+  params: webhookParams,
+  query: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50 }
+    }
+  }
+};
+
+export const redirectRequest = {
+  params: shortcodeParams,
+  query: {
+    type: 'object',
+    properties: {
+      preview: { type: 'string', description: '1 shows the preview page instead of redirecting, 0 skips a forced preview' }
+    }
+  }
+};
+
+export const unlockRequest = {
+  params: shortcodeParams,
+  body: {
+    type: 'object',
+    properties: {
+      password: { type: 'string', default: '' },
+      referrer: { type: 'string', default: '', description: 'Original referrer, carried through the password form' }
+    }
+  }
+};
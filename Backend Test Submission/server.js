@@ -1,156 +1,926 @@
 import express from 'express';
 import cors from 'cors';
+import fs from 'fs';
 import process from 'process';
 import { URLStore } from './models/urlStore.js';
-import { Logger, requestLogger } from './middleware/logger.js';
+import { createStorage } from './models/storage.js';
+import { URLPolicy } from './models/urlPolicy.js';
+import { isBot } from './models/analytics.js';
+import { GeoIPDatabase } from './models/geoip.js';
+import { LinkArchive } from './models/archive.js';
+import { WebhookManager } from './models/webhooks.js';
+import {
+  EXPORT_FORMATS, LINK_COLUMNS, OWNER_LINK_COLUMNS, CLICK_COLUMNS, serializeRecords, parseImport
+} from './models/exportFormats.js';
+import {
+  renderDeletedPage, renderExpiredPage, renderExhaustedPage, renderPasswordPage, renderPreviewPage, renderScheduledPage
+} from './views/pages.js';
+import { buildDestinationURL } from './models/redirects.js';
+import { renderQRCode, QR_FORMATS } from './models/qr.js';
+import {
+  AppError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, GoneError,
+  PayloadTooLargeError, UnsupportedMediaTypeError, toErrorResponse
+} from './models/errors.js';
+import { buildOpenAPIDocument } from './views/openapi.js';
+import {
+  Logger, ConsoleTransport, PrettyTransport, RotatingFileTransport, DEFAULT_REDACTION, requestLogger, onRequestCompleted
+} from './middleware/logger.js';
+import { MetricsRegistry, METRICS_CONTENT_TYPE, createMetricsAuth } from './middleware/metrics.js';
+import { validate, validateValue } from './middleware/validate.js';
+import {
+  createShortURLBody, createShortURLRequest, batchCreateRequest, updateShortURLRequest, deleteShortURLRequest,
+  shortURLRequest, analyticsRequest, qrCodeRequest, statisticsRequest, exportLinksRequest, exportClicksRequest,
+  subscribeWebhookRequest, webhookRequest, webhookDeliveriesRequest, redirectRequest, unlockRequest
+} from './schemas.js';
+import { loadConfig, ConfigError } from './config.js';
+import { createAuthMiddleware, requireAdmin, ownerScope } from './middleware/auth.js';
+import { createRateLimiter } from './middleware/rateLimit.js';
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (error instanceof ConfigError) {
+    Logger.error('Invalid configuration, refusing to start', { errors: error.errors });
+    console.error(`\n${error.message}\n`);
+    process.exit(1);
+  }
+  throw error;
+}
+
+// Log output: stdout as JSON lines or pretty text, plus an optional rotating file
+const logTransports = [];
+if (config.logFormat !== 'none') {
+  logTransports.push(config.logFormat === 'pretty' ? new PrettyTransport() : new ConsoleTransport());
+}
+if (config.logFile) {
+  logTransports.push(new RotatingFileTransport({
+    filePath: config.logFile,
+    maxSize: config.logFileMaxSizeMb * 1024 * 1024,
+    rotation: config.logFileRotation,
+    maxFiles: config.logFileMaxFiles
+  }));
+}
+Logger.configure({
+  level: config.logLevel,
+  transports: logTransports,
+  // Configured rules extend the logger's defaults
+  redaction: config.logRedaction && {
+    keys: [...DEFAULT_REDACTION.keys, ...config.logRedactKeys],
+    paths: config.logRedactPaths,
+    queryParams: [...DEFAULT_REDACTION.queryParams, ...config.logRedactQueryParams],
+    patterns: [...DEFAULT_REDACTION.patterns, ...config.logRedactPatterns],
+    ipMasking: config.logIpMasking
+  }
+});
+
+const packageInfo = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
 const app = express();
-const PORT = 3000;
-const urlStore = new URLStore();
+const storage = await createStorage(config.storageDriver, { path: config.storagePath });
+
+let geoip;
+try {
+  geoip = new GeoIPDatabase(config.geoipDatabase);
+} catch (error) {
+  Logger.error('Failed to load GeoIP database, refusing to start', { filePath: config.geoipDatabase, error: error.message });
+  process.exit(1);
+}
+
+let webhooks;
+try {
+  webhooks = new WebhookManager({
+    filePath: config.webhooksPath,
+    maxAttempts: config.webhookMaxAttempts,
+    timeoutSeconds: config.webhookTimeoutSeconds,
+    retryBaseSeconds: config.webhookRetryBaseSeconds,
+    allowPrivateTargets: config.webhookAllowPrivateTargets
+  });
+} catch (error) {
+  Logger.error('Failed to load webhook subscriptions, refusing to start', { filePath: config.webhooksPath, error: error.message });
+  process.exit(1);
+}
+// First path segments of the service's routes, filled in by route() below. Shortcodes can't take them:
+// routes such as /metrics are registered before /:shortcode and would shadow the link.
+const reservedShortcodes = new Set();
+
+const urlStore = new URLStore(storage, {
+  baseUrl: config.baseUrl,
+  defaultValidity: config.defaultValidity,
+  urlPolicy: new URLPolicy({
+    baseUrl: config.baseUrl,
+    selfHostAliases: config.selfHostAliases,
+    allowedSchemes: config.allowedSchemes,
+    allowedDomains: config.allowedDomains,
+    blockedDomains: config.blockedDomains,
+    maxUrlLength: config.maxUrlLength,
+    ...(config.shortenerDomains && { shortenerDomains: config.shortenerDomains })
+  }),
+  geoip,
+  privacy: {
+    ipAnonymization: config.ipAnonymization,
+    ipHashSalt: config.ipHashSalt,
+    clickRetentionDays: config.clickRetentionDays
+  },
+  lifecycle: {
+    archiveAfterMinutes: config.archiveAfterMinutes,
+    shortcodeCooldownMinutes: config.shortcodeCooldownMinutes
+  },
+  archive: config.archivePath ? new LinkArchive(config.archivePath) : null,
+  webhooks,
+  reservedShortcodes
+});
+
+// Prometheus metrics, served at GET /metrics. Link and memory gauges are read on every scrape.
+const metrics = new MetricsRegistry();
+const httpRequests = metrics.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+const httpRequestDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+const redirects = metrics.counter({
+  name: 'url_shortener_redirects_total',
+  help: 'Visitors sent to a destination, by redirect status code and whether the visitor is a bot',
+  labelNames: ['status', 'bot']
+});
+const linksCreated = metrics.counter({
+  name: 'url_shortener_links_created_total',
+  help: 'Short links created, by source (api, batch or import)',
+  labelNames: ['source']
+});
+metrics.gauge({
+  name: 'url_shortener_links',
+  help: 'Stored links by status',
+  labelNames: ['status'],
+  collect: () => Object.entries(urlStore.countLinksByStatus()).map(([status, value]) => ({ labels: { status }, value }))
+});
+for (const [name, field, help] of [
+  ['process_resident_memory_bytes', 'rss', 'Resident memory size in bytes'],
+  ['nodejs_heap_size_total_bytes', 'heapTotal', 'V8 heap size in bytes'],
+  ['nodejs_heap_size_used_bytes', 'heapUsed', 'V8 heap in use in bytes'],
+  ['nodejs_external_memory_bytes', 'external', 'Memory of C++ objects bound to JavaScript objects in bytes']
+]) {
+  metrics.gauge({ name, help, collect: () => [{ value: process.memoryUsage()[field] }] });
+}
+metrics.gauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process since the Unix epoch in seconds',
+  collect: () => [{ value: Math.round(Date.now() / 1000 - process.uptime()) }]
+});
+
+// Request counts and latency use the timing of the logging middleware. Routes are labelled by their pattern
+// ("/shorturls/:shortcode") so the number of series stays bounded; requests matching no route share one label.
+onRequestCompleted(({ req, res, durationMs }) => {
+  const labels = {
+    method: req.method,
+    route: req.route ? req.route.path.replace(/\\/g, '') : 'unmatched',
+    status: res.statusCode
+  };
+  httpRequests.inc(labels);
+  httpRequestDuration.observe(labels, durationMs / 1000);
+});
+
+// Background sweeper for expired links
+if (config.sweepIntervalSeconds > 0) {
+  setInterval(() => {
+    try {
+      urlStore.sweepExpired();
+    } catch (error) {
+      Logger.error('Expired link sweep failed', { error: error.message, stack: error.stack });
+    }
+  }, config.sweepIntervalSeconds * 1000).unref();
+}
+
+// Enforce the click retention window at startup and then hourly
+if (config.clickRetentionDays > 0) {
+  urlStore.pruneClickDetails();
+  setInterval(() => urlStore.pruneClickDetails(), 60 * 60 * 1000).unref();
+}
+
+const authenticate = createAuthMiddleware({
+  apiKeys: config.apiKeys,
+  adminApiKeys: config.adminApiKeys
+});
+
+// Separate budgets so heavy redirect traffic can't starve link management and vice versa
+const createLimiter = createRateLimiter({
+  name: 'create',
+  rate: config.rateLimitCreate,
+  keyId: authenticate.keyId,
+  // A batch costs one token per item so it can't be used to bypass the creation limit
+  cost: (req) => {
+    const items = Array.isArray(req.body) ? req.body : req.body?.items;
+    return Array.isArray(items) ? items.length : 1;
+  }
+});
+const redirectLimiter = createRateLimiter({ name: 'redirect', rate: config.rateLimitRedirect, keyId: authenticate.keyId });
+const statisticsLimiter = createRateLimiter({ name: 'statistics', rate: config.rateLimitStatistics, keyId: authenticate.keyId });
+// Password attempts are throttled per client and link to stop brute forcing
+const passwordLimiter = createRateLimiter({
+  name: 'password',
+  rate: config.rateLimitPassword,
+  keyId: authenticate.keyId,
+  scope: (req) => `${req.params.shortcode}:`,
+  onLimited: (req, res, retryAfter) => res.type('html').send(renderPasswordPage({
+    brandName: config.brandName,
+    shortcode: req.params.shortcode,
+    error: `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+  }))
+});
+
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(requestLogger); // MANDATORY logging middleware
+app.use(requestLogger); // MANDATORY logging middleware, first so every later log line carries the request id
+app.use(cors({ origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins, exposedHeaders: ['X-Request-Id'] }));
+app.use(express.json({ limit: '1mb' })); // room for batch requests
 
-// Error handling middleware
+// Error handling middleware: the one place where errors become HTTP responses (codes in models/errors.js).
+// The request id is included so a client can quote it when reporting a problem.
 const errorHandler = (error, req, res, next) => {
-  Logger.error('Request error', {
-    error: error.message,
-    stack: error.stack,
-    method: req.method,
-    url: req.url
-  });
+  const { status, body } = toErrorResponse(error);
+
+  if (status >= 500) {
+    Logger.error('Request error', {
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      url: req.url
+    });
+  } else {
+    Logger.warn('Request rejected', { status, code: body.code, message: body.message, method: req.method, url: req.url });
+  }
 
   if (res.headersSent) {
     return next(error);
   }
 
-  res.status(500).json({
-    error: 'Internal server error',
-    message: error.message
-  });
+  res.status(status).json({ ...body, requestId: req.id });
+};
+
+// Result fields of a failed batch item or import row
+const toItemError = (error) => {
+  const { status, body } = toErrorResponse(error);
+  return { success: false, status, ...body };
+};
+
+// True when the client asks not to be tracked (DNT: 1 or Global Privacy Control)
+const requestsNoTracking = (req) => req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+
+// Resolve once the response can take more data (or the client went away)
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Stream records as a download, pausing while the client's socket buffer is full
+const sendExport = async (res, records, { format, columns, filename }) => {
+  res.attachment(`${filename}.${format}`);
+  res.type(EXPORT_FORMATS[format]);
+  res.set('Cache-Control', 'no-store');
+
+  for (const chunk of serializeRecords(records, format, columns)) {
+    if (res.destroyed) {
+      Logger.warn('Export aborted by client', { filename });
+      return;
+    }
+    if (!res.write(chunk)) {
+      await waitForDrain(res);
+    }
+  }
+
+  res.end();
 };
 
-// Input validation middleware
-const validateCreateURLInput = (req, res, next) => {
-  const { url, validity } = req.body;
+// Create one item of a batch request, returning its result instead of throwing
+const createBatchItem = async (item, index, owner) => {
+  const { value, error: validationError } = validateValue(item, createShortURLBody, { location: 'item' });
+  if (validationError) {
+    return { index, url: item?.url, ...toItemError(validationError) };
+  }
 
-  if (!url) {
-    Logger.warn('Missing required field: url', { body: req.body });
-    return res.status(400).json({
-      error: 'Bad Request',
-      message: 'Missing required field: url'
+  try {
+    const {
+      url, validity = config.defaultValidity, shortcode, password,
+      redirectType, queryPassthrough, utm, forcePreview, activeFrom, maxClicks, routingRules
+    } = value;
+    const result = await urlStore.createShortURL(url, validity, shortcode, {
+      owner,
+      password,
+      redirect: { redirectType, queryPassthrough, utm, forcePreview },
+      activeFrom,
+      maxClicks,
+      routingRules
     });
+    linksCreated.inc({ source: 'batch' });
+    return { index, success: true, status: 201, url, ...result };
+  } catch (error) {
+    Logger.warn('Batch item failed', { index, error: error.message, url: item.url });
+    return { index, url: item.url, ...toItemError(error) };
   }
+};
 
-  if (validity !== undefined) {
-    const validityNum = parseInt(validity);
-    if (isNaN(validityNum) || validityNum <= 0) {
-      Logger.warn('Invalid validity period', { validity });
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Validity must be a positive integer representing minutes'
-      });
-    }
-    req.body.validity = validityNum;
+// API route registry. Every route is declared with its request schemas (schemas.js), which validate the
+// request after the route's own middleware (rate limits, authentication) and are published in the OpenAPI
+// document together with the route's summary and responses.
+const apiRoutes = [];
+const rateLimiters = [createLimiter, redirectLimiter, statisticsLimiter, passwordLimiter];
+
+const route = (method, path, { request = {}, ...docs }, ...handlers) => {
+  const handler = handlers.pop();
+
+  apiRoutes.push({
+    method,
+    path,
+    request,
+    ...docs,
+    authenticated: handlers.includes(authenticate),
+    adminOnly: handlers.includes(requireAdmin),
+    rateLimited: handlers.some(middleware => rateLimiters.includes(middleware))
+  });
+
+  const [, segment] = path.split('/');
+  if (segment && !segment.startsWith(':')) {
+    reservedShortcodes.add(segment.toLowerCase());
   }
 
-  next();
+  app[method](path, ...handlers, validate(request), handler);
 };
 
 // API Routes
 
 // Create Short URL - POST /shorturls
-app.post('/shorturls', validateCreateURLInput, (req, res) => {
-  try {
-    const { url, validity = 30, shortcode } = req.body;
+route('post', '/shorturls', {
+  summary: 'Create a short URL',
+  tags: ['Links'],
+  request: createShortURLRequest,
+  responses: { 201: 'Short URL created' },
+  errors: [409]
+}, createLimiter, authenticate, async (req, res, next) => {
+  const {
+    url, validity = config.defaultValidity, shortcode, password,
+    redirectType, queryPassthrough, utm, forcePreview, activeFrom, maxClicks, routingRules
+  } = req.body;
 
-    Logger.info('Creating short URL request', { url, validity, shortcode });
+  Logger.info('Creating short URL request', {
+    url, validity, shortcode, passwordProtected: Boolean(password), redirectType, queryPassthrough, activeFrom, maxClicks
+  });
 
-    const result = urlStore.createShortURL(url, validity, shortcode);
+  try {
+    const result = await urlStore.createShortURL(url, validity, shortcode, {
+      owner: req.auth.owner,
+      password,
+      redirect: { redirectType, queryPassthrough, utm, forcePreview },
+      activeFrom,
+      maxClicks,
+      routingRules
+    });
 
     Logger.info('Short URL created successfully', result);
+    linksCreated.inc({ source: 'api' });
 
     res.status(201).json(result);
   } catch (error) {
-    Logger.error('Error creating short URL', { error: error.message, body: req.body });
+    next(error);
+  }
+});
 
-    if (error.message.includes('Invalid URL format')) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid URL format'
-      });
-    }
+// Batch Create Short URLs - POST /shorturls/batch
+// Items are processed independently: one failing item does not roll back the others
+route('post', '/shorturls/batch', {
+  summary: 'Create several short URLs',
+  description: 'Every item gets its own result with status, and code/message when it failed.',
+  tags: ['Links'],
+  request: batchCreateRequest,
+  responses: { 200: 'Result of every item' },
+  errors: [413]
+}, createLimiter, authenticate, async (req, res, next) => {
+  const items = Array.isArray(req.body) ? req.body : req.body.items;
 
-    if (error.message.includes('shortcode already exists') || error.message.includes('Shortcode collision')) {
-      return res.status(409).json({
-        error: 'Conflict',
-        message: 'Shortcode already exists'
-      });
-    }
+  if (items.length > config.maxBatchSize) {
+    return next(new PayloadTooLargeError(`Batch size ${items.length} exceeds the maximum of ${config.maxBatchSize} items`));
+  }
 
-    if (error.message.includes('Invalid shortcode format')) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid shortcode format. Must be alphanumeric and up to 20 characters'
-      });
+  Logger.info('Batch create request', { size: items.length });
+
+  try {
+    // One at a time, so items asking for the same shortcode conflict in order
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      results.push(await createBatchItem(item, index, req.auth.owner));
     }
+    const succeeded = results.filter(result => result.success).length;
 
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to create short URL'
+    Logger.info('Batch create completed', { size: items.length, succeeded, failed: items.length - succeeded });
+
+    res.json({
+      total: items.length,
+      succeeded,
+      failed: items.length - succeeded,
+      results
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Redirect to Original URL - GET /:shortcode
-app.get('/:shortcode', (req, res) => {
+// Update Short URL - PATCH /shorturls/:shortcode
+route('patch', '/shorturls/:shortcode', {
+  summary: 'Change the destination, expiry or password of a short URL',
+  tags: ['Links'],
+  request: updateShortURLRequest,
+  responses: { 200: 'Updated short URL' },
+  errors: [404]
+}, createLimiter, authenticate, async (req, res, next) => {
   const { shortcode } = req.params;
+  const { url, validity, expiryDate, password } = req.body;
 
-  Logger.info('Redirect request', { shortcode });
+  Logger.info('Updating short URL request', { shortcode, url, validity, expiryDate, passwordChanged: password !== undefined });
 
-  const urlData = urlStore.getOriginalURL(shortcode);
+  try {
+    const result = await urlStore.updateShortURL(shortcode, { url, validity, expiryDate, password }, { owner: ownerScope(req.auth) });
 
-  if (!urlData) {
-    Logger.warn('Shortcode not found or expired', { shortcode });
-    return res.status(404).json({
-      error: 'Not Found',
-      message: 'Short URL not found or has expired'
-    });
+    if (!result) {
+      throw new NotFoundError();
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete Short URL - DELETE /shorturls/:shortcode[?purge=true]
+// Without purge the link stops redirecting but its analytics are kept until it is archived (ARCHIVE_AFTER_MINUTES)
+route('delete', '/shorturls/:shortcode', {
+  summary: 'Delete a short URL',
+  tags: ['Links'],
+  request: deleteShortURLRequest,
+  responses: { 204: 'Deleted' },
+  errors: [404]
+}, createLimiter, authenticate, (req, res) => {
+  const { shortcode } = req.params;
+  const { purge } = req.query;
+
+  Logger.info('Delete short URL request', { shortcode, purge });
+
+  if (!urlStore.deleteShortURL(shortcode, { purge, owner: ownerScope(req.auth) })) {
+    throw new NotFoundError();
+  }
+
+  res.status(204).end();
+});
+
+// Subscribe to link events - POST /webhooks { url, events, secret }
+// Admin subscriptions receive events for every link, others only for their own links.
+// Only admin keys may use receivers on internal addresses (unless WEBHOOK_ALLOW_PRIVATE_TARGETS is set).
+route('post', '/webhooks', {
+  summary: 'Subscribe to link events',
+  description: 'The response is the only time the signing secret is returned. ' +
+    'Receivers on loopback, private or link-local addresses require an admin key.',
+  tags: ['Webhooks'],
+  request: subscribeWebhookRequest,
+  responses: { 201: 'Subscription created' }
+}, createLimiter, authenticate, (req, res) => {
+  const { url, events, secret } = req.body;
+
+  Logger.info('Webhook subscription request', { url, events });
+
+  const subscription = webhooks.subscribe({
+    url,
+    events,
+    secret,
+    owner: ownerScope(req.auth) ?? null,
+    allowPrivateTarget: req.auth.isAdmin
+  });
+  res.status(201).json(subscription);
+});
+
+// List webhook subscriptions - GET /webhooks
+route('get', '/webhooks', {
+  summary: 'List webhook subscriptions',
+  tags: ['Webhooks'],
+  responses: { 200: 'Subscriptions, without their secrets' }
+}, statisticsLimiter, authenticate, (req, res) => {
+  res.json({ webhooks: webhooks.list({ owner: ownerScope(req.auth) }) });
+});
+
+// Remove a webhook subscription - DELETE /webhooks/:id
+route('delete', '/webhooks/:id', {
+  summary: 'Remove a webhook subscription',
+  tags: ['Webhooks'],
+  request: webhookRequest,
+  responses: { 204: 'Removed' },
+  errors: [404]
+}, authenticate, (req, res) => {
+  if (!webhooks.unsubscribe(req.params.id, { owner: ownerScope(req.auth) })) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  res.status(204).end();
+});
+
+// Delivery log of a webhook, newest first - GET /webhooks/:id/deliveries?limit=50
+route('get', '/webhooks/:id/deliveries', {
+  summary: 'Delivery log of a webhook, newest first',
+  tags: ['Webhooks'],
+  request: webhookDeliveriesRequest,
+  responses: { 200: 'Deliveries' },
+  errors: [404]
+}, statisticsLimiter, authenticate, (req, res) => {
+  const deliveries = webhooks.getDeliveries(req.params.id, { owner: ownerScope(req.auth), limit: req.query.limit });
+
+  if (!deliveries) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  res.json({ deliveries });
+});
+
+// Send a test event - POST /webhooks/:id/ping (delivered asynchronously, check the delivery log)
+route('post', '/webhooks/:id/ping', {
+  summary: 'Send a test event to a webhook',
+  tags: ['Webhooks'],
+  request: webhookRequest,
+  responses: { 202: 'Test delivery queued' },
+  errors: [404]
+}, createLimiter, authenticate, (req, res) => {
+  const delivery = webhooks.ping(req.params.id, { owner: ownerScope(req.auth) });
+
+  if (!delivery) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  res.status(202).json(delivery);
+});
+
+// API description - GET /openapi.json (built on first request, once every route is registered)
+let openAPIDocument = null;
+
+route('get', '/openapi.json', {
+  summary: 'OpenAPI description of this API',
+  tags: ['Service'],
+  responses: { 200: 'OpenAPI 3.1 document' }
+}, (req, res) => {
+  openAPIDocument ??= buildOpenAPIDocument({
+    routes: apiRoutes,
+    title: 'URL Shortener Microservice',
+    version: packageInfo.version,
+    serverUrl: config.baseUrl
+  });
+
+  res.json(openAPIDocument);
+});
+
+// Health check endpoint
+route('get', '/health', {
+  summary: 'Health check',
+  tags: ['Service'],
+  responses: { 200: 'Service is up' }
+}, (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Prometheus metrics - GET /metrics (requires "Authorization: Bearer <METRICS_TOKEN>" when a token is configured)
+route('get', '/metrics', {
+  summary: 'Prometheus metrics',
+  description: 'Request counts and latencies, redirects, link creations, links by status and process memory ' +
+    'in the Prometheus text format.' + (config.metricsToken ? ' Requires the metrics token as a Bearer token.' : ''),
+  tags: ['Service'],
+  responses: { 200: 'Metrics (Prometheus text exposition format 0.0.4)' },
+  produces: ['text/plain'],
+  errors: config.metricsToken ? [401] : []
+}, createMetricsAuth({ token: config.metricsToken }), (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// Error for a known link that doesn't redirect: scheduled links are not active yet (403), the others are
+// gone rather than missing (410)
+const inactiveLinkError = (status, urlData) => {
+  switch (status) {
+    case 'scheduled':
+      return new ForbiddenError('LINK_SCHEDULED', `Short URL is not active until ${urlData.activeFrom}`);
+    case 'exhausted':
+      return new GoneError('LINK_EXHAUSTED', `Short URL has reached its click limit of ${urlData.maxClicks}`);
+    case 'deleted':
+      return new GoneError('LINK_DELETED', 'Short URL has been deleted');
+    default:
+      return new GoneError('LINK_EXPIRED', 'Short URL has expired');
+  }
+};
+
+// Look up the active link for a redirect route. Throws NotFoundError or the inactiveLinkError, except that
+// browsers get an HTML page instead when EXPIRED_PAGE is enabled, in which case null is returned.
+const findActiveLink = (req, res) => {
+  const { shortcode } = req.params;
+  const { status, urlData } = urlStore.resolveShortcode(shortcode);
+
+  if (status === 'not_found') {
+    Logger.warn('Shortcode not found', { shortcode });
+    throw new NotFoundError();
+  }
+
+  if (status === 'active') {
+    return urlData;
+  }
+
+  Logger.warn('Shortcode not active', { shortcode, status });
+
+  // Scheduled links exist but don't redirect until their launch time
+  if (status === 'scheduled') {
+    const retryAfter = Math.ceil((new Date(urlData.activeFrom).getTime() - Date.now()) / 1000);
+    res.set('Retry-After', String(Math.max(retryAfter, 1)));
+  }
+
+  if (!config.expiredPage || req.accepts(['json', 'html']) !== 'html') {
+    throw inactiveLinkError(status, urlData);
+  }
+
+  if (status === 'scheduled') {
+    res.status(403).type('html').send(renderScheduledPage({
+      brandName: config.brandName,
+      shortcode,
+      activeFrom: urlData.activeFrom
+    }));
+  } else if (status === 'exhausted') {
+    res.status(410).type('html').send(renderExhaustedPage({ brandName: config.brandName, shortcode }));
+  } else if (status === 'deleted') {
+    res.status(410).type('html').send(renderDeletedPage({
+      brandName: config.brandName,
+      shortcode,
+      deletedAt: urlData.deletedAt
+    }));
+  } else {
+    res.status(410).type('html').send(renderExpiredPage({
+      brandName: config.brandName,
+      shortcode,
+      expiredAt: urlData.expiryDate
+    }));
+  }
+  return null;
+};
+
+// Incoming query string of the short link, kept raw so repeated parameters survive.
+// "preview" is reserved for the preview page and never forwarded to the destination.
+const getIncomingSearch = (req) => {
+  const index = req.originalUrl.indexOf('?');
+  if (index === -1) {
+    return '';
   }
 
-  // Record the click for analytics
-  const referrer = req.get('Referer') || '';
+  const params = new URLSearchParams(req.originalUrl.slice(index));
+  params.delete('preview');
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+// Show the destination instead of redirecting; previews are not clicks
+const sendPreview = (req, res, urlData) => {
+  const { shortcode } = urlData;
+  const ip = req.ip || req.connection.remoteAddress || '';
+  const incomingSearch = getIncomingSearch(req);
+  const route = urlStore.routeVisit(urlData, {
+    userAgent: req.get('User-Agent') || '',
+    acceptLanguage: req.get('Accept-Language') || '',
+    ip
+  });
+  const destination = buildDestinationURL(route.url, urlData.redirect, incomingSearch);
+
+  // preview=0 skips a forced preview, so "continue" goes straight to the redirect
+  const continueParams = new URLSearchParams(incomingSearch);
+  continueParams.set('preview', '0');
+  const continueUrl = `${urlStore.buildShortLink(shortcode)}?${continueParams}`;
+
+  Logger.info('Showing link preview', { shortcode, destination });
+
+  res.set('Cache-Control', 'no-store');
+
+  if (urlData.routingRules?.length) {
+    res.vary('User-Agent');
+    res.vary('Accept-Language');
+  }
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.type('html').send(renderPreviewPage({
+      brandName: config.brandName,
+      shortcode,
+      destination,
+      createdAt: urlData.createdAt,
+      expiryDate: urlData.expiryDate,
+      continueUrl
+    }));
+  }
+
+  res.json({
+    shortcode,
+    destination,
+    createdAt: urlData.createdAt,
+    expiryDate: urlData.expiryDate,
+    continueUrl
+  });
+};
+
+// Record the click for analytics and send the visitor to the destination
+const redirectToDestination = (req, res, urlData, referrer = req.get('Referer') || '') => {
+  const { shortcode } = urlData;
   const userAgent = req.get('User-Agent') || '';
   const ip = req.ip || req.connection.remoteAddress || '';
+  const route = urlStore.routeVisit(urlData, { userAgent, acceptLanguage: req.get('Accept-Language') || '', ip });
+
+  const bot = isBot(userAgent);
 
-  urlStore.recordClick(shortcode, referrer, userAgent, ip);
+  // Link previewers and crawlers still get redirected, they just don't count as clicks
+  // (so they don't use up click-limited links either)
+  if (!config.countBotClicks && bot) {
+    Logger.info('Bot click not recorded', { shortcode, userAgent });
+  } else {
+    urlStore.recordClick(shortcode, referrer, userAgent, ip, { doNotTrack: requestsNoTracking(req), route });
+  }
+
+  const destination = buildDestinationURL(route.url, urlData.redirect, getIncomingSearch(req));
+
+  // 303 so a password form POST is followed by a GET of the destination
+  const statusCode = req.method === 'POST' ? 303 : (urlData.redirect?.statusCode || 302);
 
   Logger.info('Redirecting to original URL', { 
     shortcode, 
     originalUrl: urlData.originalUrl,
+    destination,
+    rule: route.rule,
+    variant: route.variant,
+    statusCode,
     referrer,
     ip
   });
+  redirects.inc({ status: statusCode, bot: String(bot) });
+
+  // Routed links answer differently per visitor, so caches must not share one redirect between them
+  if (urlData.routingRules?.length) {
+    res.vary('User-Agent');
+    res.vary('Accept-Language');
+  }
+
+  res.redirect(statusCode, destination);
+};
+
+// Preview a short link without following it - GET /:shortcode+ (same as GET /:shortcode?preview=1)
+route('get', '/:shortcode\\+', {
+  summary: 'Preview the destination of a short link',
+  tags: ['Redirects'],
+  request: shortURLRequest,
+  responses: {
+    200: 'Preview page (HTML) or destination details (JSON)',
+    302: 'Password protected link, sent to the password form',
+    403: 'Link is not active yet (see Retry-After)',
+    404: 'Unknown shortcode',
+    410: 'Link expired, deleted or out of clicks'
+  },
+  produces: ['text/html', 'application/json']
+}, redirectLimiter, (req, res) => {
+  const { shortcode } = req.params;
 
-  res.redirect(urlData.originalUrl);
+  Logger.info('Preview request', { shortcode });
+
+  const urlData = findActiveLink(req, res);
+  if (!urlData) {
+    return;
+  }
+
+  // Password protected destinations stay hidden behind the password form
+  if (urlData.passwordHash) {
+    return res.redirect(302, urlStore.buildShortLink(shortcode));
+  }
+
+  sendPreview(req, res, urlData);
+});
+
+// Redirect to Original URL - GET /:shortcode
+route('get', '/:shortcode', {
+  summary: 'Follow a short link',
+  tags: ['Redirects'],
+  request: redirectRequest,
+  responses: {
+    302: 'Redirect to the destination (status configurable per link: 301, 302, 307 or 308)',
+    200: 'Preview or password page',
+    401: 'Password required (JSON clients)',
+    403: 'Link is not active yet (see Retry-After)',
+    404: 'Unknown shortcode',
+    410: 'Link expired, deleted or out of clicks'
+  },
+  produces: ['text/html', 'application/json']
+}, redirectLimiter, (req, res) => {
+  const { shortcode } = req.params;
+
+  Logger.info('Redirect request', { shortcode });
+
+  const urlData = findActiveLink(req, res);
+  if (!urlData) {
+    return;
+  }
+
+  // Protected links get an interstitial form instead of the redirect
+  if (urlData.passwordHash) {
+    Logger.info('Password required for short URL', { shortcode });
+    res.set('Cache-Control', 'no-store');
+
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(renderPasswordPage({
+        brandName: config.brandName,
+        shortcode,
+        referrer: req.get('Referer') || ''
+      }));
+    }
+
+    throw new UnauthorizedError('PASSWORD_REQUIRED', 'This short URL is password protected. Submit the password as a form POST to this URL');
+  }
+
+  const { preview } = req.query;
+  if (preview === '1' || (urlData.redirect?.forcePreview && preview !== '0')) {
+    return sendPreview(req, res, urlData);
+  }
+
+  redirectToDestination(req, res, urlData);
+});
+
+// Unlock a password-protected link - POST /:shortcode (form field: password)
+route('post', '/:shortcode', {
+  summary: 'Unlock a password protected short link',
+  tags: ['Redirects'],
+  request: unlockRequest,
+  responses: {
+    303: 'Redirect to the destination',
+    401: 'Incorrect password (password page)',
+    403: 'Link is not active yet (see Retry-After)',
+    404: 'Unknown shortcode',
+    410: 'Link expired, deleted or out of clicks'
+  },
+  consumes: ['application/x-www-form-urlencoded'],
+  produces: ['text/html']
+}, passwordLimiter, express.urlencoded({ extended: false }), async (req, res, next) => {
+  const { shortcode } = req.params;
+  const { password, referrer } = req.body;
+
+  Logger.info('Password submitted for short URL', { shortcode });
+
+  try {
+    const urlData = findActiveLink(req, res);
+    if (!urlData) {
+      return;
+    }
+
+    if (!urlData.passwordHash) {
+      return redirectToDestination(req, res, urlData);
+    }
+
+    res.set('Cache-Control', 'no-store');
+
+    if (!(await urlStore.verifyLinkPassword(shortcode, password))) {
+      return res.status(401).type('html').send(renderPasswordPage({
+        brandName: config.brandName,
+        shortcode,
+        referrer,
+        error: 'Incorrect password. Please try again.'
+      }));
+    }
+
+    // The original referrer travels through the form; the POST's own Referer is the interstitial
+    redirectToDestination(req, res, urlData, referrer);
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Get URL Statistics - GET /shorturls/:shortcode
-app.get('/shorturls/:shortcode', (req, res) => {
+route('get', '/shorturls/:shortcode', {
+  summary: 'Details and click statistics of a short URL',
+  tags: ['Statistics'],
+  request: shortURLRequest,
+  responses: { 200: 'Link details with recent clicks' },
+  errors: [404]
+}, statisticsLimiter, authenticate, (req, res) => {
   const { shortcode } = req.params;
 
   Logger.info('Statistics request', { shortcode });
 
-  const analytics = urlStore.getAnalytics(shortcode);
+  const analytics = urlStore.getAnalytics(shortcode, { owner: ownerScope(req.auth) });
 
   if (!analytics) {
-    Logger.warn('Statistics not found for shortcode', { shortcode });
-    return res.status(404).json({
-      error: 'Not Found',
-      message: 'Short URL not found'
-    });
+    throw new NotFoundError();
   }
 
   Logger.info('Statistics retrieved', { shortcode, totalClicks: analytics.totalClicks });
@@ -158,61 +928,248 @@ app.get('/shorturls/:shortcode', (req, res) => {
   res.json(analytics);
 });
 
-// Get All URLs Statistics (for frontend statistics page)
-app.get('/api/statistics', (req, res) => {
-  Logger.info('All statistics request');
+// Get Aggregated Analytics - GET /shorturls/:shortcode/analytics?from&to&bucket=minute|hour|day&top
+route('get', '/shorturls/:shortcode/analytics', {
+  summary: 'Clicks of a short URL aggregated over time and by referrer, country, device...',
+  description: 'Clicks sent with Do Not Track or Global Privacy Control are counted in untrackedClicks, not as unique visitors.',
+  tags: ['Statistics'],
+  request: analyticsRequest,
+  responses: { 200: 'Aggregated analytics' },
+  errors: [404]
+}, statisticsLimiter, authenticate, (req, res) => {
+  const { shortcode } = req.params;
 
-  const allUrls = urlStore.getAllURLs();
+  Logger.info('Aggregated analytics request', { shortcode, ...req.query });
 
-  Logger.info('All statistics retrieved', { count: allUrls.length });
+  const analytics = urlStore.getAggregatedAnalytics(shortcode, req.query, { owner: ownerScope(req.auth) });
 
-  res.json({
-    urls: allUrls,
-    totalUrls: allUrls.length,
-    totalClicks: allUrls.reduce((sum, url) => sum + url.totalClicks, 0)
-  });
+  if (!analytics) {
+    throw new NotFoundError();
+  }
+
+  res.json(analytics);
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
+// QR code for a short link - GET /shorturls/:shortcode/qr?format=svg|png&size=512&margin=4&ecc=M&download=true
+route('get', '/shorturls/:shortcode/qr', {
+  summary: 'QR code of a short link',
+  tags: ['Links'],
+  request: qrCodeRequest,
+  responses: { 200: 'QR code image' },
+  produces: Object.values(QR_FORMATS),
+  errors: [404]
+}, statisticsLimiter, authenticate, async (req, res, next) => {
+  const { shortcode } = req.params;
+  const { format, size, margin, ecc, download } = req.query;
+
+  Logger.info('QR code request', { shortcode, format, size, margin, ecc });
+
+  const shortLink = urlStore.getShortLink(shortcode, { owner: ownerScope(req.auth) });
+
+  if (!shortLink) {
+    return next(new NotFoundError());
+  }
+
+  try {
+    const { contentType, body } = await renderQRCode(shortLink, { format, size, margin, errorCorrection: ecc });
+
+    if (download) {
+      res.attachment(`${shortcode}-qr.${format}`);
+    }
+
+    // The short link never changes for a shortcode, so the image can be cached
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(contentType).send(body);
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Error handling
-app.use(errorHandler);
+// URL Statistics list (for frontend statistics page) - GET /api/statistics
+// ?limit=50&cursor=&q=&status=active,expired&from=&to=&sort=createdAt|expiry|clicks&order=desc
+// Pass nextCursor from a response as cursor (with the same filters and sort) to get the next page.
+route('get', '/api/statistics', {
+  summary: 'Search, filter and page through short URLs',
+  tags: ['Statistics'],
+  request: statisticsRequest,
+  responses: { 200: 'One page of links with totals and status counts' }
+}, statisticsLimiter, authenticate, (req, res) => {
+  const { status = [], ...query } = req.query;
+
+  Logger.info('All statistics request', { owner: req.auth.owner, isAdmin: req.auth.isAdmin, status, ...query });
+
+  const result = urlStore.queryURLs({ owner: ownerScope(req.auth), ...query, statuses: status });
+
+  Logger.info('All statistics retrieved', { count: result.urls.length, totalUrls: result.totalUrls });
+
+  res.json({ ...result, limit: query.limit });
+});
+
+// Export links - GET /export/links?format=csv|json|ndjson&from=&to= (filters on creation date)
+route('get', '/export/links', {
+  summary: 'Export links',
+  description: 'Filters on the creation date. The export is streamed as a download. ' +
+    'Password hashes are only included for admin keys.',
+  tags: ['Export'],
+  request: exportLinksRequest,
+  responses: { 200: 'Links export' },
+  produces: Object.values(EXPORT_FORMATS)
+}, statisticsLimiter, authenticate, async (req, res, next) => {
+  const { format, from, to } = req.query;
+
+  Logger.info('Links export request', { format, from, to, owner: req.auth.owner });
+
+  try {
+    const { isAdmin } = req.auth;
+    const links = urlStore.exportLinks({ from, to, owner: ownerScope(req.auth), includePasswordHashes: isAdmin });
+    await sendExport(res, links, { format, columns: isAdmin ? LINK_COLUMNS : OWNER_LINK_COLUMNS, filename: 'links' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export click events - GET /export/clicks?format=csv|json|ndjson&from=&to=&shortcode=
+route('get', '/export/clicks', {
+  summary: 'Export click events',
+  description: 'The export is streamed as a download.',
+  tags: ['Export'],
+  request: exportClicksRequest,
+  responses: { 200: 'Clicks export' },
+  produces: Object.values(EXPORT_FORMATS)
+}, statisticsLimiter, authenticate, async (req, res, next) => {
+  const { format, from, to, shortcode } = req.query;
+
+  Logger.info('Clicks export request', { format, from, to, shortcode, owner: req.auth.owner });
+
+  try {
+    const clicks = urlStore.exportClicks({ from, to, shortcode, owner: ownerScope(req.auth) });
+    await sendExport(res, clicks, { format, columns: CLICK_COLUMNS, filename: shortcode ? `clicks-${shortcode}` : 'clicks' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import links - POST /import/links (admin only)
+// Body: a links export as JSON (application/json, up to 1mb), NDJSON (application/x-ndjson) or CSV (text/csv).
+// Links keep their shortcodes, dates and owners; rows that conflict or fail validation are reported and skipped.
+route('post', '/import/links', {
+  summary: 'Import links from an export',
+  description: 'Links keep their shortcodes, dates and owners. Rows that conflict or fail validation are reported and skipped.',
+  tags: ['Export'],
+  responses: { 200: 'Result of every row' },
+  consumes: ['application/json', 'application/x-ndjson', 'text/csv'],
+  errors: [400, 413, 415]
+}, authenticate, requireAdmin,
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'application/ndjson'], limit: '10mb' }),
+  (req, res) => {
+    const format = req.is('json') ? 'json' : req.is('text/csv') ? 'csv' : req.is(['application/x-ndjson', 'application/ndjson']) ? 'ndjson' : null;
+
+    if (!format) {
+      throw new UnsupportedMediaTypeError('Send the import as application/json, application/x-ndjson or text/csv');
+    }
+
+    const records = parseImport(req.body, format, LINK_COLUMNS);
+
+    if (records.length > config.maxImportRows) {
+      throw new PayloadTooLargeError(`Import of ${records.length} rows exceeds the maximum of ${config.maxImportRows} rows`);
+    }
+
+    Logger.info('Links import request', { format, rows: records.length });
+
+    const results = records.map((record, index) => {
+      if (record?.parseError) {
+        return { row: index + 1, ...toItemError(new ValidationError('INVALID_IMPORT_RECORD', record.parseError)) };
+      }
+
+      try {
+        const result = urlStore.importLink(record, { owner: record.owner ?? null });
+        linksCreated.inc({ source: 'import' });
+        return { row: index + 1, success: true, status: 201, ...result };
+      } catch (error) {
+        return { row: index + 1, shortcode: record?.shortcode, ...toItemError(error) };
+      }
+    });
+
+    const imported = results.filter(result => result.success).length;
+    const conflicts = results.filter(result => result.status === 409).length;
+
+    Logger.info('Links import completed', { rows: records.length, imported, conflicts });
+
+    res.json({
+      total: records.length,
+      imported,
+      conflicts,
+      failed: records.length - imported,
+      results
+    });
+  }
+);
+
+// Reload GeoIP database - POST /admin/geoip/reload (admin only; SIGHUP does the same)
+route('post', '/admin/geoip/reload', {
+  summary: 'Reload the GeoIP database',
+  tags: ['Admin'],
+  responses: { 200: 'Reloaded' },
+  errors: [409]
+}, authenticate, requireAdmin, (req, res) => {
+  if (!geoip.enabled) {
+    throw new ConflictError('GEOIP_NOT_CONFIGURED', 'No GeoIP database configured (set GEOIP_DATABASE)');
+  }
+
+  try {
+    res.json({ status: 'reloaded', ...geoip.reload() });
+  } catch (error) {
+    throw new AppError(500, 'GEOIP_RELOAD_FAILED', `GeoIP reload failed, previous data kept: ${error.message}`);
+  }
+});
 
 // 404 handler
-app.use('*', (req, res) => {
-  Logger.warn('Route not found', { method: req.method, url: req.url });
-  res.status(404).json({
-    error: 'Not Found',
-    message: 'Route not found'
-  });
+app.use('*', (req, res, next) => {
+  next(new NotFoundError('Route not found', 'ROUTE_NOT_FOUND'));
 });
 
+// Error handling
+app.use(errorHandler);
+
 // Start server
-app.listen(PORT, () => {
+app.listen(config.port, () => {
   Logger.info('URL Shortener Microservice started', {
-    port: PORT,
+    port: config.port,
+    baseUrl: config.baseUrl,
+    storage: config.storageDriver,
     environment: process.env.NODE_ENV || 'development',
     timestamp: new Date().toISOString()
   });
-  console.log(`\nURL Shortener Microservice running on http://localhost:${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Statistics API: http://localhost:${PORT}/api/statistics`);
+  console.log(`\nURL Shortener Microservice running on http://localhost:${config.port}`);
+  console.log(`Public base URL: ${config.baseUrl}`);
+  console.log(`Health check: http://localhost:${config.port}/health`);
+  console.log(`Metrics: http://localhost:${config.port}/metrics${config.metricsToken ? ' (token required)' : ''}`);
+  console.log(`Statistics API: http://localhost:${config.port}/api/statistics`);
+});
+
+// Reload the GeoIP database without restarting
+process.on('SIGHUP', () => {
+  Logger.info('Received SIGHUP, reloading GeoIP database');
+  if (geoip.enabled) {
+    try {
+      geoip.reload();
+    } catch {
+      // Already logged by GeoIPDatabase.reload; keep serving with the previous data
+    }
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   Logger.info('Received SIGTERM, shutting down gracefully');
+  webhooks.stop();
+  urlStore.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   Logger.info('Received SIGINT, shutting down gracefully');
+  webhooks.stop();
+  urlStore.close();
   process.exit(0);
 });
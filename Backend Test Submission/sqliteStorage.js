@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { Logger } from '../middleware/logger.js';
+
+// Status of a link row `u` joined with its analytics row `a`, mirroring linkStatus in storage.js.
+// Stored dates are ISO strings, so they compare correctly as text.
+const STATUS = `
+  CASE
+    WHEN json_extract(u.data, '$.deletedAt') IS NOT NULL THEN 'deleted'
+    WHEN json_extract(u.data, '$.archivedAt') IS NOT NULL THEN 'archived'
+    WHEN json_extract(u.data, '$.expiryDate') < @now THEN 'expired'
+    WHEN json_extract(u.data, '$.activeFrom') > @now THEN 'scheduled'
+    WHEN json_extract(u.data, '$.maxClicks') > 0 AND COALESCE(a.total_clicks, 0) >= json_extract(u.data, '$.maxClicks') THEN 'exhausted'
+    ELSE 'active'
+  END`;
+
+// Listed links (see queryURLs) with the columns they are filtered and sorted on
+const LISTED_LINKS = `
+  WITH listed AS (
+    SELECT
+      u.shortcode,
+      u.data,
+      json_extract(u.data, '$.createdAt') AS createdAt,
+      json_extract(u.data, '$.expiryDate') AS expiryDate,
+      COALESCE(a.total_clicks, 0) AS totalClicks,
+      ${STATUS} AS status
+    FROM urls u LEFT JOIN analytics a ON a.shortcode = u.shortcode
+    WHERE json_extract(u.data, '$.deletedAt') IS NULL AND json_extract(u.data, '$.archivedAt') IS NULL
+      AND (@allOwners OR json_extract(u.data, '$.owner') IS @owner)
+      AND (@search IS NULL OR instr(lower(u.shortcode), @search) > 0 OR instr(lower(json_extract(u.data, '$.originalUrl')), @search) > 0)
+      AND (@from IS NULL OR json_extract(u.data, '$.createdAt') >= @from)
+      AND (@to IS NULL OR json_extract(u.data, '$.createdAt') < @to)
+  )`;
+
+const STATUS_FILTER = '(@allStatuses OR status IN (SELECT value FROM json_each(@statuses)))';
+
+const SORT_COLUMNS = { createdAt: 'createdAt', expiryDate: 'expiryDate', totalClicks: 'totalClicks' };
+
+// Rows read per query by the iterators. They page by key instead of holding a statement open, because an open
+// iterator keeps the connection busy and other requests couldn't write while an export waits for its client.
+const ITERATE_PAGE_SIZE = 500;
+
+// Embedded SQL storage backed by a single SQLite database file.
+// Link records are stored as JSON so new link fields don't need a migration.
+export class SQLiteStorage {
+  constructor(filePath) {
+    this.filePath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+
+    if (this.filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS urls (
+        shortcode TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS analytics (
+        shortcode TEXT PRIMARY KEY REFERENCES urls(shortcode) ON DELETE CASCADE,
+        total_clicks INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE TABLE IF NOT EXISTS clicks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shortcode TEXT NOT NULL REFERENCES urls(shortcode) ON DELETE CASCADE,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS clicks_shortcode ON clicks (shortcode);
+    `);
+
+    this.statements = {
+      hasURL: this.db.prepare('SELECT 1 FROM urls WHERE shortcode = ?'),
+      getURL: this.db.prepare('SELECT data FROM urls WHERE shortcode = ?'),
+      saveURL: this.db.prepare(
+        'INSERT INTO urls (shortcode, data) VALUES (@shortcode, @data) ' +
+        'ON CONFLICT (shortcode) DO UPDATE SET data = excluded.data'
+      ),
+      deleteURL: this.db.prepare('DELETE FROM urls WHERE shortcode = ?'),
+      listURLs: this.db.prepare('SELECT data FROM urls ORDER BY rowid'),
+      urlsPage: this.db.prepare('SELECT rowid, data FROM urls WHERE rowid > ? ORDER BY rowid LIMIT ?'),
+      getAnalytics: this.db.prepare('SELECT total_clicks AS totalClicks FROM analytics WHERE shortcode = ?'),
+      countByStatus: this.db.prepare(
+        `SELECT ${STATUS} AS status, COUNT(*) AS count FROM urls u LEFT JOIN analytics a ON a.shortcode = u.shortcode GROUP BY status`
+      ),
+      countListedByStatus: this.db.prepare(`${LISTED_LINKS} SELECT status, COUNT(*) AS count FROM listed GROUP BY status`),
+      totalListed: this.db.prepare(
+        `${LISTED_LINKS} SELECT COUNT(*) AS total, COALESCE(SUM(totalClicks), 0) AS totalClicks FROM listed WHERE ${STATUS_FILTER}`
+      ),
+      getClicks: this.db.prepare('SELECT data FROM clicks WHERE shortcode = ? ORDER BY id'),
+      clicksPage: this.db.prepare('SELECT id, data FROM clicks WHERE shortcode = ? AND id > ? ORDER BY id LIMIT ?'),
+      saveAnalytics: this.db.prepare(
+        'INSERT INTO analytics (shortcode, total_clicks) VALUES (@shortcode, @totalClicks) ' +
+        'ON CONFLICT (shortcode) DO UPDATE SET total_clicks = excluded.total_clicks'
+      ),
+      deleteClicks: this.db.prepare('DELETE FROM clicks WHERE shortcode = ?'),
+      insertClick: this.db.prepare('INSERT INTO clicks (shortcode, data) VALUES (?, ?)'),
+      incrementClicks: this.db.prepare('UPDATE analytics SET total_clicks = total_clicks + 1 WHERE shortcode = ?'),
+      pruneClicks: this.db.prepare("DELETE FROM clicks WHERE json_extract(data, '$.timestamp') < ?")
+    };
+
+    // Replacing analytics rewrites the click rows, so do it atomically
+    this.replaceAnalytics = this.db.transaction((analytics) => {
+      this.statements.saveAnalytics.run({ shortcode: analytics.shortcode, totalClicks: analytics.totalClicks });
+      this.statements.deleteClicks.run(analytics.shortcode);
+      for (const click of analytics.clicks) {
+        this.statements.insertClick.run(analytics.shortcode, JSON.stringify(click));
+      }
+    });
+
+    this.insertClick = this.db.transaction((shortcode, click) => {
+      const result = this.statements.incrementClicks.run(shortcode);
+      if (result.changes === 0) {
+        return null;
+      }
+      this.statements.insertClick.run(shortcode, JSON.stringify(click));
+      return this.statements.getAnalytics.get(shortcode).totalClicks;
+    });
+
+    this.pageStatements = new Map(); // "<sortField>:<order>" -> prepared page query
+
+    Logger.info('SQLite storage opened', { filePath: this.filePath });
+  }
+
+  // Page query for one sort order; the cursor condition continues after the last link of the previous page
+  getPageStatement(sortField, order) {
+    const key = `${sortField}:${order}`;
+
+    if (!this.pageStatements.has(key)) {
+      const column = SORT_COLUMNS[sortField];
+      const [direction, comparison] = order === 'asc' ? ['ASC', '>'] : ['DESC', '<'];
+      this.pageStatements.set(key, this.db.prepare(`${LISTED_LINKS}
+        SELECT data, totalClicks, status FROM listed
+        WHERE ${STATUS_FILTER}
+          AND (@afterShortcode IS NULL OR ${column} ${comparison} @afterValue
+            OR (${column} = @afterValue AND shortcode ${comparison} @afterShortcode))
+        ORDER BY ${column} ${direction}, shortcode ${direction}
+        LIMIT @limit`));
+    }
+
+    return this.pageStatements.get(key);
+  }
+
+  hasURL(shortcode) {
+    return Boolean(this.statements.hasURL.get(shortcode));
+  }
+
+  getURL(shortcode) {
+    const row = this.statements.getURL.get(shortcode);
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  saveURL(urlData) {
+    this.statements.saveURL.run({ shortcode: urlData.shortcode, data: JSON.stringify(urlData) });
+  }
+
+  deleteURL(shortcode) {
+    // Analytics and clicks are removed through ON DELETE CASCADE
+    this.statements.deleteURL.run(shortcode);
+  }
+
+  listURLs() {
+    return this.statements.listURLs.all().map(row => JSON.parse(row.data));
+  }
+
+  *iterateURLs() {
+    let rows;
+    let after = 0;
+
+    do {
+      rows = this.statements.urlsPage.all(after, ITERATE_PAGE_SIZE);
+      for (const row of rows) {
+        yield JSON.parse(row.data);
+      }
+      after = rows.at(-1)?.rowid;
+    } while (rows.length === ITERATE_PAGE_SIZE);
+  }
+
+  *iterateClicks(shortcode) {
+    let rows;
+    let after = 0;
+
+    do {
+      rows = this.statements.clicksPage.all(shortcode, after, ITERATE_PAGE_SIZE);
+      for (const row of rows) {
+        yield JSON.parse(row.data);
+      }
+      after = rows.at(-1)?.id;
+    } while (rows.length === ITERATE_PAGE_SIZE);
+  }
+
+  getAnalytics(shortcode) {
+    const row = this.statements.getAnalytics.get(shortcode);
+
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      shortcode,
+      totalClicks: row.totalClicks,
+      clicks: this.statements.getClicks.all(shortcode).map(click => JSON.parse(click.data))
+    };
+  }
+
+  getClickTotal(shortcode) {
+    return this.statements.getAnalytics.get(shortcode)?.totalClicks;
+  }
+
+  saveAnalytics(analytics) {
+    this.replaceAnalytics(analytics);
+  }
+
+  // Same contract as MemoryStorage.queryURLs; filtering, sorting and paging happen in SQL and click
+  // totals come from the analytics counters, so click rows are never read
+  queryURLs({ owner, search, from, to, statuses = [], sortField, order, after, limit, now = new Date() }) {
+    const filters = {
+      now: now.toISOString(),
+      allOwners: owner === undefined ? 1 : 0,
+      owner: owner ?? null,
+      search: search || null,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      allStatuses: statuses.length === 0 ? 1 : 0,
+      statuses: JSON.stringify(statuses)
+    };
+
+    const statusCounts = Object.fromEntries(this.statements.countListedByStatus.all(filters).map(row => [row.status, row.count]));
+    const { total, totalClicks } = this.statements.totalListed.get(filters);
+    const rows = this.getPageStatement(sortField, order).all({
+      ...filters,
+      afterValue: after ? after.value : null,
+      afterShortcode: after ? after.shortcode : null,
+      limit
+    });
+
+    return {
+      links: rows.map(row => ({ ...JSON.parse(row.data), totalClicks: row.totalClicks, status: row.status })),
+      total,
+      totalClicks,
+      statusCounts
+    };
+  }
+
+  // Number of stored links in each status, deleted and archived ones included; counted in SQL from the counters
+  countByStatus(now = new Date()) {
+    return Object.fromEntries(this.statements.countByStatus.all({ now: now.toISOString() }).map(row => [row.status, row.count]));
+  }
+
+  appendClick(shortcode, click) {
+    return this.insertClick(shortcode, click);
+  }
+
+  pruneClicks(before) {
+    return this.statements.pruneClicks.run(before).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
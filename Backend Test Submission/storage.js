@@ -0,0 +1,328 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from '../middleware/logger.js';
+
+// Storage adapters used by URLStore. Every adapter exposes the same synchronous
+// interface so URLStore does not need to know where the data lives.
+
+// Status of a stored link at `now` given its click total: 'deleted', 'archived', 'expired', 'scheduled'
+// (before activeFrom), 'exhausted' (maxClicks reached) or 'active'. SQLiteStorage computes the same in SQL.
+export const linkStatus = (urlData, totalClicks, now = new Date()) => {
+  if (urlData.deletedAt) {
+    return 'deleted';
+  }
+
+  if (urlData.archivedAt) {
+    return 'archived';
+  }
+
+  if (now > new Date(urlData.expiryDate)) {
+    return 'expired';
+  }
+
+  if (urlData.activeFrom && now < new Date(urlData.activeFrom)) {
+    return 'scheduled';
+  }
+
+  if (urlData.maxClicks && totalClicks >= urlData.maxClicks) {
+    return 'exhausted';
+  }
+
+  return 'active';
+};
+
+// Ordering of listed links: by the sort value, ties broken by shortcode so every link has a fixed position.
+// Dates are ISO strings and compare as text, click totals as numbers.
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const comparePositions = (a, b, direction) =>
+  (compareValues(a.value, b.value) || compareValues(a.shortcode, b.shortcode)) * direction;
+
+// In-memory storage (default for development, data is lost on restart)
+export class MemoryStorage {
+  constructor() {
+    this.urls = new Map(); // shortcode -> url data
+    this.analytics = new Map(); // shortcode -> analytics data
+  }
+
+  hasURL(shortcode) {
+    return this.urls.has(shortcode);
+  }
+
+  getURL(shortcode) {
+    return this.urls.get(shortcode);
+  }
+
+  saveURL(urlData) {
+    this.urls.set(urlData.shortcode, urlData);
+  }
+
+  deleteURL(shortcode) {
+    this.urls.delete(shortcode);
+    this.analytics.delete(shortcode);
+  }
+
+  listURLs() {
+    return Array.from(this.urls.values());
+  }
+
+  // Every link one at a time, for exports that stream them
+  *iterateURLs() {
+    yield* this.urls.values();
+  }
+
+  getAnalytics(shortcode) {
+    return this.analytics.get(shortcode);
+  }
+
+  // Recorded clicks of a link one at a time, oldest first
+  *iterateClicks(shortcode) {
+    yield* this.analytics.get(shortcode)?.clicks || [];
+  }
+
+  // Click total of a link without its click details, or undefined for an unknown shortcode
+  getClickTotal(shortcode) {
+    return this.analytics.get(shortcode)?.totalClicks;
+  }
+
+  saveAnalytics(analytics) {
+    this.analytics.set(analytics.shortcode, analytics);
+  }
+
+  // One page of the links that are neither deleted nor archived, for listings. Filters: owner (undefined: all),
+  // search (lower case text found in the shortcode or original URL), creation date in [from, to) and
+  // statuses (empty: all). Links are sorted by sortField (createdAt, expiryDate or totalClicks) in order
+  // 'asc' or 'desc' and the page starts after the position `after` ({ value, shortcode } of the last link
+  // of the previous page). Returns { links, total, totalClicks, statusCounts }: links carry totalClicks and
+  // status; total and totalClicks cover all filtered links; statusCounts ignores the statuses filter.
+  queryURLs({ owner, search, from, to, statuses = [], sortField, order, after, limit, now = new Date() }) {
+    const direction = order === 'asc' ? 1 : -1;
+    const fromText = from?.toISOString();
+    const toText = to?.toISOString();
+    const statusCounts = {};
+    const filtered = [];
+    let totalClicks = 0;
+
+    for (const urlData of this.urls.values()) {
+      if (urlData.deletedAt || urlData.archivedAt || (owner !== undefined && urlData.owner !== owner) ||
+        (search && !urlData.shortcode.toLowerCase().includes(search) && !urlData.originalUrl.toLowerCase().includes(search)) ||
+        (fromText && urlData.createdAt < fromText) || (toText && urlData.createdAt >= toText)) {
+        continue;
+      }
+
+      const clicks = this.getClickTotal(urlData.shortcode) ?? 0;
+      const status = linkStatus(urlData, clicks, now);
+      statusCounts[status] = (statusCounts[status] || 0) + 1;
+
+      if (statuses.length === 0 || statuses.includes(status)) {
+        filtered.push({ ...urlData, totalClicks: clicks, status });
+        totalClicks += clicks;
+      }
+    }
+
+    const positionOf = (link) => ({ value: link[sortField], shortcode: link.shortcode });
+    const links = filtered
+      .filter(link => !after || comparePositions(positionOf(link), after, direction) > 0)
+      .sort((a, b) => comparePositions(positionOf(a), positionOf(b), direction))
+      .slice(0, limit);
+
+    return { links, total: filtered.length, totalClicks, statusCounts };
+  }
+
+  // Number of stored links in each status, deleted and archived ones included
+  countByStatus(now = new Date()) {
+    const counts = {};
+
+    for (const urlData of this.urls.values()) {
+      const status = linkStatus(urlData, urlData.maxClicks ? this.getClickTotal(urlData.shortcode) ?? 0 : 0, now);
+      counts[status] = (counts[status] || 0) + 1;
+    }
+
+    return counts;
+  }
+
+  // Append a click and return the new total, or null for an unknown shortcode
+  appendClick(shortcode, click) {
+    const analytics = this.analytics.get(shortcode);
+
+    if (!analytics) {
+      return null;
+    }
+
+    analytics.totalClicks++;
+    analytics.clicks.push(click);
+    return analytics.totalClicks;
+  }
+
+  // Drop click details recorded before `before` (ISO timestamp); totals are kept. Returns the number removed.
+  pruneClicks(before) {
+    let removed = 0;
+
+    for (const analytics of this.analytics.values()) {
+      const kept = analytics.clicks.filter(click => click.timestamp >= before);
+      removed += analytics.clicks.length - kept.length;
+      analytics.clicks = kept;
+    }
+
+    return removed;
+  }
+
+  close() {}
+}
+
+// Smallest log worth compacting while running; below this the log is only compacted at startup
+const MIN_COMPACT_BYTES = 16 * 1024 * 1024;
+
+// File-backed storage using an append-only NDJSON log.
+// The log is replayed into memory on startup and compacted to one entry per record. While running it is
+// compacted again whenever it has grown to twice its compacted size (and at least compactMinBytes), so
+// busy servers don't pile up click entries that every restart has to replay.
+export class FileStorage extends MemoryStorage {
+  constructor(filePath, { compactMinBytes = MIN_COMPACT_BYTES } = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.compactMinBytes = compactMinBytes;
+    this.logBytes = 0; // current size of the log
+    this.compactedBytes = 0; // size right after the last compaction
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.replay();
+    this.compact();
+  }
+
+  replay() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    const lines = content.split('\n');
+    let applied = 0;
+    this.logBytes = Buffer.byteLength(content);
+
+    for (const [index, line] of lines.entries()) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        this.apply(JSON.parse(line));
+        applied++;
+      } catch (error) {
+        // A partially written last line is expected after a crash; anything else is worth a warning
+        Logger.warn('Skipping unreadable storage log entry', {
+          filePath: this.filePath,
+          line: index + 1,
+          error: error.message
+        });
+      }
+    }
+
+    Logger.info('Storage log replayed', { filePath: this.filePath, entries: applied, urls: this.urls.size });
+  }
+
+  apply(entry) {
+    switch (entry.op) {
+      case 'url':
+        super.saveURL(entry.data);
+        break;
+      case 'analytics':
+        super.saveAnalytics(entry.data);
+        break;
+      case 'click':
+        return super.appendClick(entry.shortcode, entry.click);
+      case 'delete':
+        super.deleteURL(entry.shortcode);
+        break;
+      default:
+        throw new Error(`Unknown storage log operation: ${entry.op}`);
+    }
+  }
+
+  // Log an operation, apply it in memory and compact the log once it has grown enough
+  write(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    fs.appendFileSync(this.filePath, line);
+    this.logBytes += Buffer.byteLength(line);
+
+    const result = this.apply(entry);
+
+    if (this.logBytes >= Math.max(this.compactMinBytes, 2 * this.compactedBytes)) {
+      this.compact();
+    }
+
+    return result;
+  }
+
+  // Rewrite the log so it only contains the current state
+  compact() {
+    const lines = [];
+
+    for (const urlData of this.urls.values()) {
+      lines.push(JSON.stringify({ op: 'url', data: urlData }));
+    }
+
+    for (const analytics of this.analytics.values()) {
+      lines.push(JSON.stringify({ op: 'analytics', data: analytics }));
+    }
+
+    const content = lines.length ? lines.join('\n') + '\n' : '';
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.filePath);
+
+    const previousBytes = this.logBytes;
+    this.logBytes = this.compactedBytes = Buffer.byteLength(content);
+    Logger.info('Storage log compacted', { filePath: this.filePath, previousBytes, bytes: this.logBytes });
+  }
+
+  saveURL(urlData) {
+    this.write({ op: 'url', data: urlData });
+  }
+
+  deleteURL(shortcode) {
+    this.write({ op: 'delete', shortcode });
+  }
+
+  saveAnalytics(analytics) {
+    this.write({ op: 'analytics', data: analytics });
+  }
+
+  appendClick(shortcode, click) {
+    if (!this.analytics.has(shortcode)) {
+      return null;
+    }
+
+    return this.write({ op: 'click', shortcode, click });
+  }
+
+  pruneClicks(before) {
+    const removed = super.pruneClicks(before);
+
+    // Rewrite the log so the dropped details are really gone from disk, not just masked by a later entry
+    if (removed > 0) {
+      this.compact();
+    }
+
+    return removed;
+  }
+}
+
+// Create the storage adapter selected at startup
+export async function createStorage(driver = 'memory', options = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStorage();
+
+    case 'file':
+      return new FileStorage(options.path || './data/urls.log');
+
+    case 'sqlite': {
+      // Loaded lazily so the native SQLite module is only required when it is used
+      const { SQLiteStorage } = await import('./sqliteStorage.js');
+      return new SQLiteStorage(options.path || './data/urls.db');
+    }
+
+    default:
+      throw new Error(`Unknown storage driver: ${driver}. Expected one of memory, file, sqlite`);
+  }
+}
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Logger } from '../middleware/logger.js';
+import { createRateLimiter } from '../middleware/rateLimit.js';
+
+Logger.configure({ transports: [] });
+
+// Run a request through the limiter and report the status and headers it would get
+const send = (limiter, { ip = '203.0.113.1', apiKey = null, ...req } = {}) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  limiter({ ip, apiKey, method: 'POST', url: '/shorturls', ...req }, res, () => { passed = true; });
+  return { passed, ...res };
+};
+
+// Accepted keys have an id, anything else counts as no key
+const keyId = (req) => (req.apiKey === 'accepted' ? 'key-id' : null);
+
+describe('createRateLimiter', () => {
+  it('throttles an address once its budget is spent', () => {
+    const limiter = createRateLimiter({ name: 'create', rate: { limit: 3, windowSeconds: 60 } });
+
+    assert.deepEqual([1, 2, 3].map(() => send(limiter).passed), [true, true, true]);
+    const throttled = send(limiter);
+    assert.equal(throttled.statusCode, 429);
+    assert.equal(throttled.body.code, 'RATE_LIMITED');
+    assert.equal(throttled.headers['Retry-After'], '20');
+    assert.equal(send(limiter, { ip: '203.0.113.2' }).passed, true);
+  });
+
+  it('shares one budget between the addresses of an accepted key', () => {
+    const limiter = createRateLimiter({ name: 'create', rate: { limit: 2, windowSeconds: 60 }, keyId });
+
+    assert.equal(send(limiter, { ip: '198.51.100.1', apiKey: 'accepted' }).passed, true);
+    assert.equal(send(limiter, { ip: '198.51.100.2', apiKey: 'accepted' }).passed, true);
+    assert.equal(send(limiter, { ip: '198.51.100.3', apiKey: 'accepted' }).statusCode, 429);
+  });
+
+  it('does not give made-up keys budgets of their own', () => {
+    const limiter = createRateLimiter({ name: 'create', rate: { limit: 2, windowSeconds: 60 }, keyId });
+
+    assert.equal(send(limiter, { apiKey: 'made-up-1' }).passed, true);
+    assert.equal(send(limiter, { apiKey: 'made-up-2' }).passed, true);
+    assert.equal(send(limiter, { apiKey: 'made-up-3' }).statusCode, 429);
+  });
+
+  it('rejects requests costing more than the whole budget without Retry-After', () => {
+    const limiter = createRateLimiter({ name: 'create', rate: { limit: 5, windowSeconds: 60 }, cost: req => req.items });
+
+    const rejected = send(limiter, { items: 6 });
+    assert.equal(rejected.statusCode, 429);
+    assert.equal(rejected.headers['Retry-After'], undefined);
+    assert.equal(send(limiter, { items: 5 }).passed, true, 'the rejected request drew nothing');
+  });
+
+  it('drops the oldest bucket when it keeps too many', () => {
+    const limiter = createRateLimiter({ name: 'create', rate: { limit: 1, windowSeconds: 60 }, maxBuckets: 2 });
+
+    send(limiter, { ip: '192.0.2.1' });
+    send(limiter, { ip: '192.0.2.2' });
+    assert.equal(send(limiter, { ip: '192.0.2.2' }).statusCode, 429);
+    send(limiter, { ip: '192.0.2.3' });
+
+    assert.equal(send(limiter, { ip: '192.0.2.1' }).passed, true, 'the first bucket was dropped');
+    assert.equal(send(limiter, { ip: '192.0.2.3' }).statusCode, 429);
+  });
+});
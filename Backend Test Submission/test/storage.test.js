@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { Logger } from '../middleware/logger.js';
+import { FileStorage, MemoryStorage, linkStatus } from '../models/storage.js';
+
+Logger.configure({ transports: [] });
+
+// better-sqlite3 is an optional dependency; the SQLite cases are skipped without it
+const SQLiteStorage = await import('../models/sqliteStorage.js').then(module => module.SQLiteStorage, () => null);
+
+const NOW = new Date('2030-01-01T00:00:00.000Z');
+const day = (offset) => new Date(NOW.getTime() + offset * 24 * 60 * 60 * 1000).toISOString();
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let logFiles = 0;
+const ADAPTERS = [
+  ['MemoryStorage', () => new MemoryStorage()],
+  ['FileStorage', () => new FileStorage(path.join(tempDir, `urls-${++logFiles}.log`))],
+  ['SQLiteStorage', () => new SQLiteStorage(':memory:'), !SQLiteStorage && 'better-sqlite3 is not installed']
+];
+
+// One link in every status, plus ordinary links sharing creation dates and click totals so sorting needs the
+// shortcode tie-break and listings need several pages
+const LINKS = [
+  { shortcode: 'active1', createdAt: day(-10), expiryDate: day(30), owner: 'alice', clicks: 3 },
+  { shortcode: 'limited', createdAt: day(-9), expiryDate: day(30), owner: 'bob', maxClicks: 5, clicks: 2 },
+  { shortcode: 'expired', createdAt: day(-20), expiryDate: day(-1), owner: 'alice', clicks: 1 },
+  { shortcode: 'scheduled', createdAt: day(-2), expiryDate: day(30), activeFrom: day(3), owner: 'bob', clicks: 0 },
+  { shortcode: 'exhausted', createdAt: day(-5), expiryDate: day(30), maxClicks: 2, owner: 'alice', clicks: 2 },
+  { shortcode: 'deleted', createdAt: day(-4), expiryDate: day(30), deletedAt: day(-1), owner: 'alice', clicks: 4 },
+  { shortcode: 'archived', createdAt: day(-40), expiryDate: day(-30), archivedAt: day(-29), owner: 'bob' },
+  ...Array.from({ length: 24 }, (_, index) => ({
+    shortcode: `bulk${String(index).padStart(2, '0')}`,
+    createdAt: day(-(index % 6)),
+    expiryDate: index % 5 === 0 ? day(-0.5) : day(10),
+    owner: index % 2 ? 'alice' : 'bob',
+    clicks: index % 4
+  }))
+];
+
+const originalUrl = (shortcode) => `https://example.com/${shortcode}`;
+
+// Archived links are stored as tombstones without a destination or analytics, like URLStore.sweepExpired leaves them
+const seed = (storage) => {
+  for (const { clicks = 0, ...link } of LINKS) {
+    storage.saveURL(link.archivedAt ? link : { originalUrl: originalUrl(link.shortcode), ...link });
+    if (link.archivedAt) {
+      continue;
+    }
+    storage.saveAnalytics({ shortcode: link.shortcode, totalClicks: 0, clicks: [] });
+    for (let index = 0; index < clicks; index++) {
+      storage.appendClick(link.shortcode, { timestamp: day(-1 + index / 100), referrer: 'direct' });
+    }
+  }
+  return storage;
+};
+
+// What a listing should return, worked out independently of the adapters
+const expectedListing = ({ owner, search, from, to, statuses = [], sortField, order }) => {
+  const direction = order === 'asc' ? 1 : -1;
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  return LINKS
+    .filter(link => !link.deletedAt && !link.archivedAt)
+    .map(link => ({ ...link, totalClicks: link.clicks, status: linkStatus(link, link.clicks, NOW) }))
+    .filter(link => (owner === undefined || link.owner === owner) &&
+      (!search || link.shortcode.includes(search) || originalUrl(link.shortcode).includes(search)) &&
+      (!from || link.createdAt >= from.toISOString()) && (!to || link.createdAt < to.toISOString()) &&
+      (statuses.length === 0 || statuses.includes(link.status)))
+    .sort((a, b) => (compare(a[sortField], b[sortField]) || compare(a.shortcode, b.shortcode)) * direction);
+};
+
+// Follow the `after` position page by page until a short page
+const listAllPages = (storage, query, limit) => {
+  const shortcodes = [];
+  let afterPosition = null;
+
+  for (;;) {
+    const { links } = storage.queryURLs({ ...query, after: afterPosition, limit, now: NOW });
+    shortcodes.push(...links.map(link => link.shortcode));
+    if (links.length < limit) {
+      return shortcodes;
+    }
+    const last = links.at(-1);
+    afterPosition = { value: last[query.sortField], shortcode: last.shortcode };
+  }
+};
+
+const QUERIES = [
+  { sortField: 'createdAt', order: 'desc' },
+  { sortField: 'createdAt', order: 'asc' },
+  { sortField: 'expiryDate', order: 'asc' },
+  { sortField: 'totalClicks', order: 'desc' },
+  { sortField: 'totalClicks', order: 'asc', owner: 'alice' },
+  { sortField: 'createdAt', order: 'desc', owner: 'nobody' },
+  { sortField: 'createdAt', order: 'desc', search: 'bulk1' },
+  { sortField: 'createdAt', order: 'asc', statuses: ['expired', 'exhausted'] },
+  { sortField: 'totalClicks', order: 'desc', statuses: ['active'], owner: 'bob' },
+  { sortField: 'createdAt', order: 'asc', from: new Date(day(-5)), to: new Date(day(-1)) }
+];
+
+for (const [name, create, skip] of ADAPTERS) {
+  describe(name, { skip }, () => {
+    it('counts links by the status linkStatus gives them', () => {
+      const storage = seed(create());
+      const expected = {};
+      for (const link of LINKS) {
+        const status = linkStatus(link, link.clicks ?? 0, NOW);
+        expected[status] = (expected[status] || 0) + 1;
+      }
+
+      assert.deepEqual(storage.countByStatus(NOW), expected);
+      assert.ok(['active', 'expired', 'scheduled', 'exhausted', 'deleted', 'archived'].every(status => expected[status] > 0));
+    });
+
+    it('filters, sorts and pages listings like the reference', () => {
+      const storage = seed(create());
+
+      for (const query of QUERIES) {
+        const expected = expectedListing(query);
+        const { links, total, totalClicks, statusCounts } = storage.queryURLs({ ...query, limit: 1000, now: NOW });
+
+        assert.deepEqual(links.map(link => link.shortcode), expected.map(link => link.shortcode), JSON.stringify(query));
+        assert.deepEqual(links.map(link => [link.totalClicks, link.status]), expected.map(link => [link.totalClicks, link.status]));
+        assert.equal(total, expected.length);
+        assert.equal(totalClicks, expected.reduce((sum, link) => sum + link.totalClicks, 0));
+        assert.equal(Object.values(statusCounts).reduce((sum, count) => sum + count, 0),
+          expectedListing({ ...query, statuses: [] }).length, 'statusCounts ignores the status filter');
+      }
+    });
+
+    it('returns every listed link exactly once across pages of any size', () => {
+      const storage = seed(create());
+
+      for (const query of QUERIES) {
+        const expected = expectedListing(query).map(link => link.shortcode);
+        for (const limit of [1, 3, 4, 7]) {
+          assert.deepEqual(listAllPages(storage, query, limit), expected, `${JSON.stringify(query)} limit ${limit}`);
+        }
+      }
+    });
+
+    it('reads click totals without the click details', () => {
+      const storage = seed(create());
+
+      assert.equal(storage.getClickTotal('active1'), 3);
+      assert.equal(storage.getClickTotal('archived'), undefined);
+      assert.equal(storage.getClickTotal('unknown'), undefined);
+    });
+
+    it('iterates every link and the clicks of a link in order', () => {
+      const storage = seed(create());
+
+      assert.deepEqual([...storage.iterateURLs()].map(link => link.shortcode).sort(), LINKS.map(link => link.shortcode).sort());
+      assert.deepEqual([...storage.iterateClicks('active1')].map(click => click.timestamp), [day(-1), day(-0.99), day(-0.98)]);
+      assert.deepEqual([...storage.iterateClicks('unknown')], []);
+    });
+
+    it('removes the analytics of a deleted link', () => {
+      const storage = seed(create());
+      storage.deleteURL('active1');
+
+      assert.equal(storage.getURL('active1'), undefined);
+      assert.equal(storage.getAnalytics('active1'), undefined);
+      assert.equal(storage.appendClick('active1', { timestamp: day(0) }), null);
+    });
+  });
+}
+
+describe('FileStorage log', () => {
+  it('restores the same state when reopened', () => {
+    const filePath = path.join(tempDir, 'reopen.log');
+    const storage = seed(new FileStorage(filePath));
+    storage.deleteURL('bulk00');
+
+    const reopened = new FileStorage(filePath);
+
+    assert.deepEqual(reopened.countByStatus(NOW), storage.countByStatus(NOW));
+    assert.deepEqual(reopened.getAnalytics('active1'), storage.getAnalytics('active1'));
+    assert.equal(reopened.getURL('bulk00'), undefined);
+  });
+
+  it('is compacted while running once it doubles in size', () => {
+    const filePath = path.join(tempDir, 'compact.log');
+    const storage = new FileStorage(filePath, { compactMinBytes: 4096 });
+    storage.saveURL({ shortcode: 'busy', originalUrl: originalUrl('busy'), createdAt: day(0), expiryDate: day(1) });
+    storage.saveAnalytics({ shortcode: 'busy', totalClicks: 0, clicks: [] });
+
+    let largest = 0;
+    for (let index = 0; index < 500; index++) {
+      storage.appendClick('busy', { timestamp: day(index / 1000), referrer: 'direct' });
+      largest = Math.max(largest, fs.statSync(filePath).size);
+    }
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    assert.ok(lines.length < 502, `log has ${lines.length} lines, so it was never compacted`);
+    assert.ok(largest <= 2 * fs.statSync(filePath).size + 4096);
+    assert.equal(new FileStorage(filePath).getClickTotal('busy'), 500);
+  });
+});
+
+describe('SQLiteStorage iterators', { skip: !SQLiteStorage && 'better-sqlite3 is not installed' }, () => {
+  it('page through more rows than one query reads', () => {
+    const storage = new SQLiteStorage(':memory:');
+    for (let index = 0; index < 1203; index++) {
+      storage.saveURL({ shortcode: `link${index}`, originalUrl: originalUrl(index), createdAt: day(0), expiryDate: day(1) });
+    }
+    storage.saveAnalytics({ shortcode: 'link7', totalClicks: 0, clicks: [] });
+    for (let index = 0; index < 1001; index++) {
+      storage.appendClick('link7', { timestamp: day(0), index });
+    }
+
+    assert.equal([...storage.iterateURLs()].length, 1203);
+    assert.deepEqual([...storage.iterateClicks('link7')].map(click => click.index), Array.from({ length: 1001 }, (_, index) => index));
+  });
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Logger } from '../middleware/logger.js';
+import { URLPolicy } from '../models/urlPolicy.js';
+
+Logger.configure({ transports: [] });
+
+const rejects = (policy, url, code) => assert.throws(() => policy.check(url), { name: 'URLPolicyError', code }, url);
+
+describe('URLPolicy self references', () => {
+  it('rejects every spelling of this service\'s own host', () => {
+    const policy = new URLPolicy({ baseUrl: 'https://sho.rt' });
+
+    for (const url of ['https://sho.rt/abc', 'http://sho.rt/abc', 'https://SHO.RT/abc', 'https://sho.rt./abc',
+      'https://www.sho.rt/abc', 'https://sho.rt:443/abc', 'http://sho.rt:80/abc']) {
+      rejects(policy, url, 'SELF_REFERENCE');
+    }
+    assert.doesNotThrow(() => policy.check('https://sho.rt:8443/abc'));
+    assert.doesNotThrow(() => policy.check('https://api.sho.rt/abc'));
+  });
+
+  it('keeps non-default ports apart', () => {
+    const policy = new URLPolicy({ baseUrl: 'http://localhost:3000' });
+
+    rejects(policy, 'http://LOCALHOST:3000/abc', 'SELF_REFERENCE');
+    assert.doesNotThrow(() => policy.check('http://localhost:4000/abc'));
+  });
+
+  it('treats configured aliases as this service', () => {
+    const policy = new URLPolicy({
+      baseUrl: 'https://sho.rt',
+      selfHostAliases: ['links.example.com', 'edge.example.net:8080', 'https://xn--bcher-kva.example']
+    });
+
+    rejects(policy, 'https://links.example.com/abc', 'SELF_REFERENCE');
+    rejects(policy, 'http://edge.example.net:8080/abc', 'SELF_REFERENCE');
+    rejects(policy, 'https://bücher.example/abc', 'SELF_REFERENCE');
+    assert.doesNotThrow(() => policy.check('http://edge.example.net/abc'));
+    assert.throws(() => new URLPolicy({ selfHostAliases: ['bad host'] }), /Invalid host "bad host"/);
+  });
+});
+
+describe('URLPolicy destinations', () => {
+  it('applies scheme, length and domain rules', () => {
+    const policy = new URLPolicy({ blockedDomains: ['evil.example'], maxUrlLength: 60 });
+
+    rejects(policy, 'ftp://files.example.com/a', 'SCHEME_NOT_ALLOWED');
+    rejects(policy, `https://example.com/${'a'.repeat(60)}`, 'URL_TOO_LONG');
+    rejects(policy, 'https://cdn.evil.example/a', 'DOMAIN_BLOCKED');
+    rejects(policy, 'https://bit.ly/abc', 'CHAINED_SHORT_LINK');
+    assert.doesNotThrow(() => policy.check('https://notevil.example/a'));
+  });
+
+  it('limits destinations to the allowed domains when some are set', () => {
+    const policy = new URLPolicy({ allowedDomains: ['example.com'], allowedSchemes: ['HTTPS:'] });
+
+    rejects(policy, 'https://example.org/a', 'DOMAIN_NOT_ALLOWED');
+    rejects(policy, 'http://example.com/a', 'SCHEME_NOT_ALLOWED');
+    assert.doesNotThrow(() => policy.check('https://docs.example.com/a'));
+  });
+});
@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Logger } from '../middleware/logger.js';
+import { aggregateClicks } from '../models/analytics.js';
+import { hashPassword } from '../models/passwords.js';
+import { MemoryStorage } from '../models/storage.js';
+import { MAX_VALIDITY_MINUTES, URLStore } from '../models/urlStore.js';
+
+Logger.configure({ transports: [] });
+
+const MINUTE = 60 * 1000;
+
+const createStore = (options = {}) => new URLStore(new MemoryStorage(), { reservedShortcodes: new Set(['metrics', 'health']), ...options });
+
+// An export record as importLink expects it
+const record = (overrides = {}) => ({
+  shortcode: 'imported',
+  originalUrl: 'https://example.com/imported',
+  createdAt: new Date(Date.now() - 60 * MINUTE).toISOString(),
+  expiryDate: new Date(Date.now() + 60 * MINUTE).toISOString(),
+  ...overrides
+});
+
+const rejects = async (promise, code) => assert.rejects(promise, error => error.code === code);
+const throws = (fn, code) => assert.throws(fn, error => error.code === code);
+
+describe('URLStore listing cursors', () => {
+  it('walk every link once and reject cursors of another sort', async () => {
+    const store = createStore();
+    for (let index = 0; index < 11; index++) {
+      await store.createShortURL(`https://example.com/${index}`, 60, `link${index}`);
+    }
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = store.queryURLs({ sort: 'createdAt', order: 'asc', limit: 4, cursor });
+      assert.equal(page.totalUrls, 11);
+      seen.push(...page.urls.map(link => link.shortcode));
+      cursor = page.nextCursor;
+
+      if (cursor) {
+        throws(() => store.queryURLs({ sort: 'clicks', order: 'asc', limit: 4, cursor }), 'INVALID_CURSOR');
+      }
+    } while (cursor);
+
+    assert.equal(seen.length, 11);
+    assert.equal(new Set(seen).size, 11);
+    throws(() => store.queryURLs({ cursor: 'not-a-cursor' }), 'INVALID_CURSOR');
+  });
+});
+
+describe('URLStore shortcodes and validity', () => {
+  it('refuses route names as shortcodes whatever their case', async () => {
+    const store = createStore();
+
+    await rejects(store.createShortURL('https://example.com', 60, 'Metrics'), 'SHORTCODE_RESERVED');
+    throws(() => store.importLink(record({ shortcode: 'health' })), 'SHORTCODE_RESERVED');
+  });
+
+  it('rejects validities that would overflow the expiry date', async () => {
+    const store = createStore();
+    await store.createShortURL('https://example.com', 60, 'valid');
+
+    await rejects(store.createShortURL('https://example.com', MAX_VALIDITY_MINUTES + 1), 'VALIDATION_FAILED');
+    await rejects(store.updateShortURL('valid', { validity: 9000000000000 }), 'VALIDATION_FAILED');
+  });
+
+  it('keeps activeFrom before the expiry when an update shortens it', async () => {
+    const store = createStore();
+    const activeFrom = new Date(Date.now() + 20 * MINUTE).toISOString();
+    await store.createShortURL('https://example.com', 60, 'later', { activeFrom });
+
+    await rejects(store.updateShortURL('later', { validity: 10 }), 'INVALID_AVAILABILITY');
+    await rejects(store.updateShortURL('later', { expiryDate: new Date(Date.now() + 5 * MINUTE).toISOString() }), 'INVALID_AVAILABILITY');
+    assert.ok(await store.updateShortURL('later', { validity: 30 }));
+  });
+});
+
+describe('URLStore.importLink', () => {
+  it('accepts a record from an export', async () => {
+    const store = createStore();
+    const passwordHash = await hashPassword('correct horse');
+
+    store.importLink(record({ passwordHash, totalClicks: 7 }), { owner: 'alice' });
+
+    assert.equal(store.storage.getClickTotal('imported'), 7);
+    assert.equal(store.storage.getURL('imported').owner, 'alice');
+    assert.equal(await store.verifyLinkPassword('imported', 'correct horse'), true);
+    assert.equal(await store.verifyLinkPassword('imported', 'wrong'), false);
+  });
+
+  it('rejects password hashes this service could not have produced', () => {
+    const store = createStore();
+    const salt = 'a'.repeat(32);
+    const hash = 'b'.repeat(64);
+
+    for (const passwordHash of ['scrypt$zz$yy', `scrypt$${salt}$${hash.slice(1)}`, `scrypt$${salt.toUpperCase()}$${hash}`,
+      `bcrypt$${salt}$${hash}`, `scrypt$${'g'.repeat(32)}$${hash}`, 42]) {
+      throws(() => store.importLink(record({ passwordHash })), 'INVALID_IMPORT_RECORD');
+    }
+  });
+
+  it('rejects invalid records and existing shortcodes', async () => {
+    const store = createStore();
+    await store.createShortURL('https://example.com', 60, 'taken');
+
+    throws(() => store.importLink(record({ shortcode: 'taken' })), 'SHORTCODE_TAKEN');
+    throws(() => store.importLink(record({ shortcode: 'bad code' })), 'INVALID_IMPORT_RECORD');
+    throws(() => store.importLink(record({ archivedAt: new Date().toISOString() })), 'INVALID_IMPORT_RECORD');
+    throws(() => store.importLink(record({ expiryDate: '2000-01-01T00:00:00.000Z' })), 'INVALID_IMPORT_RECORD');
+    throws(() => store.importLink(record({ expiryDate: new Date(Date.now() + (MAX_VALIDITY_MINUTES + 120) * MINUTE).toISOString() })),
+      'INVALID_IMPORT_RECORD');
+    throws(() => store.importLink(record({ validity: MAX_VALIDITY_MINUTES + 1 })), 'INVALID_IMPORT_RECORD');
+    throws(() => store.importLink(record({ totalClicks: -1 })), 'INVALID_IMPORT_RECORD');
+    assert.equal(store.storage.getURL('imported'), undefined);
+  });
+});
+
+describe('URLStore lifecycle', () => {
+  it('archives deleted links after the grace period and releases them after the cooldown', async () => {
+    const store = createStore({ lifecycle: { archiveAfterMinutes: 60, shortcodeCooldownMinutes: 120 } });
+    await store.createShortURL('https://example.com', 600, 'gone');
+    store.recordClick('gone');
+    const start = Date.now();
+
+    assert.equal(store.deleteShortURL('gone'), true);
+    assert.deepEqual(store.sweepExpired(new Date(start + 30 * MINUTE)), { archived: 0, released: 0 });
+
+    assert.deepEqual(store.sweepExpired(new Date(start + 61 * MINUTE)), { archived: 1, released: 0 });
+    assert.equal(store.storage.getAnalytics('gone'), undefined);
+    assert.equal(store.resolveShortcode('gone').status, 'deleted');
+    assert.equal(store.deleteShortURL('gone'), false);
+    assert.equal(store.deleteShortURL('gone', { purge: true }), false);
+    await rejects(store.createShortURL('https://example.com', 60, 'gone'), 'SHORTCODE_COOLING_DOWN');
+
+    assert.deepEqual(store.sweepExpired(new Date(start + 121 * MINUTE)), { archived: 0, released: 1 });
+    assert.equal(store.storage.getURL('gone'), undefined);
+  });
+});
+
+describe('URLStore exports', () => {
+  it('include password hashes only when asked to', async () => {
+    const store = createStore();
+    await store.createShortURL('https://example.com', 60, 'secret', { password: 'hunter22' });
+
+    const [ownerExport] = [...store.exportLinks()];
+    const [adminExport] = [...store.exportLinks({ includePasswordHashes: true })];
+
+    assert.equal('passwordHash' in ownerExport, false);
+    assert.match(adminExport.passwordHash, /^scrypt\$/);
+  });
+
+  it('stream the clicks of the owner\'s links only', async () => {
+    const store = createStore();
+    await store.createShortURL('https://example.com', 60, 'mine', { owner: 'alice' });
+    await store.createShortURL('https://example.com', 60, 'theirs', { owner: 'bob' });
+    store.recordClick('mine', 'https://a.example');
+    store.recordClick('mine', 'https://b.example');
+    store.recordClick('theirs');
+
+    assert.deepEqual([...store.exportClicks({ owner: 'alice' })].map(click => [click.shortcode, click.referrer]),
+      [['mine', 'https://a.example'], ['mine', 'https://b.example']]);
+  });
+});
+
+describe('aggregateClicks', () => {
+  it('counts Do Not Track clicks as untracked rather than as a visitor', () => {
+    const timestamp = new Date().toISOString();
+    const clicks = [
+      { timestamp, ip: '203.0.113.0', userAgent: 'a' },
+      { timestamp, ip: '203.0.113.0', userAgent: 'a' },
+      { timestamp, ip: '198.51.100.0', userAgent: 'b' },
+      { timestamp, ip: '', userAgent: '', doNotTrack: true },
+      { timestamp, ip: '', userAgent: '', doNotTrack: true }
+    ];
+
+    const result = aggregateClicks(clicks, { from: new Date(Date.now() - 60 * MINUTE), to: new Date(Date.now() + MINUTE) });
+
+    assert.equal(result.totalClicks, 5);
+    assert.equal(result.uniqueVisitors, 2);
+    assert.equal(result.untrackedClicks, 2);
+    assert.equal(result.timeSeries.reduce((sum, bucket) => sum + bucket.untrackedClicks, 0), 2);
+  });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import dns from 'node:dns';
+import http from 'node:http';
+import { after, before, describe, it, mock } from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { Logger } from '../middleware/logger.js';
+import { WebhookManager, isInternalAddress, signPayload } from '../models/webhooks.js';
+
+Logger.configure({ transports: [] });
+
+// Poll the delivery log until the delivery is no longer pending
+const settled = async (manager, subscription, deliveryId) => {
+  for (let waited = 0; waited < 5000; waited += 20) {
+    const delivery = manager.getDeliveries(subscription.id).find(entry => entry.id === deliveryId);
+    if (delivery.status !== 'pending') {
+      return delivery;
+    }
+    await sleep(20);
+  }
+  throw new Error(`Delivery ${deliveryId} still pending`);
+};
+
+describe('isInternalAddress', () => {
+  it('covers private, loopback, reserved and IPv4-embedding ranges', () => {
+    const internal = [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1', '198.18.0.1',
+      '224.0.0.1', '255.255.255.255', '::1', '::', 'fe80::1', 'fc00::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:8.8.8.8',
+      '64:ff9b::a00:1'
+    ];
+    const external = ['8.8.8.8', '93.184.216.34', '100.128.0.1', '2606:4700:4700::1111', 'example.com'];
+
+    for (const address of internal) {
+      assert.equal(isInternalAddress(address), true, address);
+    }
+    for (const address of external) {
+      assert.equal(isInternalAddress(address), false, address);
+    }
+  });
+});
+
+describe('WebhookManager.subscribe', () => {
+  it('refuses internal receivers for ordinary keys', () => {
+    const manager = new WebhookManager();
+
+    for (const url of ['http://localhost:8080/hook', 'http://api.localhost/hook', 'http://127.0.0.1/hook', 'http://10.0.0.5/hook',
+      'http://[::1]/hook', 'http://[::ffff:169.254.169.254]/hook', 'http://0x7f000001/hook']) {
+      assert.throws(() => manager.subscribe({ url }), { code: 'INVALID_WEBHOOK' }, url);
+    }
+    assert.equal(manager.list().length, 0);
+    assert.ok(manager.subscribe({ url: 'https://hooks.example.com/receive' }));
+  });
+
+  it('allows internal receivers for admins or when configured', () => {
+    assert.ok(new WebhookManager().subscribe({ url: 'http://127.0.0.1:9000/hook', allowPrivateTarget: true }));
+    assert.ok(new WebhookManager({ allowPrivateTargets: true }).subscribe({ url: 'http://10.0.0.5/hook' }));
+  });
+
+  it('validates events and secrets', () => {
+    const manager = new WebhookManager();
+    const url = 'https://hooks.example.com/receive';
+
+    assert.throws(() => manager.subscribe({ url: 'ftp://hooks.example.com' }), { code: 'INVALID_WEBHOOK' });
+    assert.throws(() => manager.subscribe({ url, events: ['link.renamed'] }), { code: 'INVALID_WEBHOOK' });
+    assert.throws(() => manager.subscribe({ url, events: [] }), { code: 'INVALID_WEBHOOK' });
+    assert.throws(() => manager.subscribe({ url, secret: 'short' }), { code: 'INVALID_WEBHOOK' });
+  });
+});
+
+describe('WebhookManager deliveries', () => {
+  let server;
+  let port;
+  const received = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  it('signs deliveries to receivers an admin allowed', async () => {
+    const manager = new WebhookManager();
+    const secret = 'a-long-enough-secret';
+    const subscription = manager.subscribe({ url: `http://127.0.0.1:${port}/hook`, secret, allowPrivateTarget: true });
+
+    const { id } = manager.ping(subscription.id);
+    const delivery = await settled(manager, subscription, id);
+    manager.stop();
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.responseStatus, 204);
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-webhook-id'], id);
+    assert.equal(headers['x-webhook-signature'], `sha256=${signPayload(secret, headers['x-webhook-timestamp'], body)}`);
+    assert.equal(JSON.parse(body).event, 'ping');
+  });
+
+  it('gives up at once on names that resolve to internal addresses', async () => {
+    mock.method(dns, 'lookup', (hostname, options, callback) => {
+      const address = { address: '10.0.0.5', family: 4 };
+      return options.all ? callback(null, [address]) : callback(null, address.address, address.family);
+    });
+    const manager = new WebhookManager({ maxAttempts: 3 });
+    const subscription = manager.subscribe({ url: 'http://rebinding.example.com/hook' });
+
+    const { id } = manager.ping(subscription.id);
+    const delivery = await settled(manager, subscription, id);
+    manager.stop();
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 1);
+    assert.match(delivery.error, /internal address 10\.0\.0\.5/);
+    assert.equal(received.length, 1, 'nothing reached the local receiver');
+  });
+});
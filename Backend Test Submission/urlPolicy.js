@@ -0,0 +1,105 @@
+import { Logger } from '../middleware/logger.js';
+import { ValidationError } from './errors.js';
+
+// Well-known public URL shorteners; shortening their links creates redirect chains
+export const DEFAULT_SHORTENER_DOMAINS = [
+  'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly',
+  'rebrand.ly', 'cutt.ly', 'shorturl.at', 'rb.gy', 't.ly', 'tiny.cc', 'lnkd.in', 'v.gd'
+];
+
+// Raised when a destination URL parses but is not allowed by the policy
+export class URLPolicyError extends ValidationError {
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'URLPolicyError';
+  }
+}
+
+const normaliseHost = (hostname) => hostname.toLowerCase().replace(/\.$/, '').replace(/^\[|\]$/g, '');
+
+// Ports left out of the comparison with this service's own host: a service on the default http port usually
+// redirects to https and the other way round, so either one can loop back
+const DEFAULT_PORTS = ['', '80', '443'];
+
+// Host of a URL in one form for the self reference check: lower case (URL already converts IDNs to
+// punycode), no trailing dot or "www." prefix, and the port only when it isn't a default one
+const canonicalHost = (url) => {
+  const hostname = normaliseHost(url.hostname).replace(/^www\./, '');
+  return DEFAULT_PORTS.includes(url.port) ? hostname : `${hostname}:${url.port}`;
+};
+
+// "host", "host:port" or a full URL
+const parseHost = (value) => {
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+  } catch {
+    throw new Error(`Invalid host "${value}"`);
+  }
+};
+
+// "example.com" matches example.com and any subdomain of it
+const matchesDomain = (hostname, domain) => {
+  const normalisedDomain = normaliseHost(domain);
+  return hostname === normalisedDomain || hostname.endsWith(`.${normalisedDomain}`);
+};
+
+// Destination policy applied to every URL before it is stored
+export class URLPolicy {
+  constructor({
+    baseUrl = 'http://localhost:3000',
+    selfHostAliases = [], // other hosts that serve this shortener's links
+    allowedSchemes = ['http', 'https'],
+    allowedDomains = [],
+    blockedDomains = [],
+    shortenerDomains = DEFAULT_SHORTENER_DOMAINS,
+    maxUrlLength = 2048
+  } = {}) {
+    this.selfHosts = new Set([baseUrl, ...selfHostAliases].map(host => canonicalHost(parseHost(host))));
+    this.allowedSchemes = allowedSchemes.map(scheme => scheme.toLowerCase().replace(/:$/, ''));
+    this.allowedDomains = allowedDomains;
+    this.blockedDomains = blockedDomains;
+    this.shortenerDomains = shortenerDomains;
+    this.maxUrlLength = maxUrlLength;
+  }
+
+  // Throws URLPolicyError when the (already parsed) URL is not acceptable
+  check(originalUrl) {
+    const reject = (code, message) => {
+      Logger.warn('Destination URL rejected by policy', { code, originalUrl: originalUrl.slice(0, 200) });
+      throw new URLPolicyError(code, message);
+    };
+
+    if (originalUrl.length > this.maxUrlLength) {
+      reject('URL_TOO_LONG', `URL exceeds the maximum length of ${this.maxUrlLength} characters`);
+    }
+
+    const url = new URL(originalUrl);
+    const scheme = url.protocol.replace(/:$/, '');
+
+    if (!this.allowedSchemes.includes(scheme)) {
+      reject('SCHEME_NOT_ALLOWED', `URL scheme "${scheme}" is not allowed. Allowed schemes: ${this.allowedSchemes.join(', ')}`);
+    }
+
+    const hostname = normaliseHost(url.hostname);
+
+    if (!hostname) {
+      reject('INVALID_HOST', 'URL must include a host name');
+    }
+
+    if (this.selfHosts.has(canonicalHost(url))) {
+      reject('SELF_REFERENCE', 'URL points back at this shortener, which would create a redirect loop');
+    }
+
+    if (this.shortenerDomains.some(domain => matchesDomain(hostname, domain))) {
+      reject('CHAINED_SHORT_LINK', `URL is already a short link (${hostname}). Shorten the final destination instead`);
+    }
+
+    if (this.blockedDomains.some(domain => matchesDomain(hostname, domain))) {
+      reject('DOMAIN_BLOCKED', `Domain ${hostname} is blocked`);
+    }
+
+    if (this.allowedDomains.length > 0 && !this.allowedDomains.some(domain => matchesDomain(hostname, domain))) {
+      reject('DOMAIN_NOT_ALLOWED', `Domain ${hostname} is not in the list of allowed domains`);
+    }
+  }
+}
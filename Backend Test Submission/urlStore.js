@@ -1,24 +1,138 @@
 import { nanoid } from 'nanoid';
 import { Logger } from '../middleware/logger.js';
+import { MemoryStorage, linkStatus } from './storage.js';
+import { URLPolicy } from './urlPolicy.js';
+import { aggregateClicks, BUCKET_SIZES } from './analytics.js';
+import { GeoIPDatabase, isPrivateIP } from './geoip.js';
+import { anonymizeIP } from './privacy.js';
+import { hashPassword, verifyPassword, isPasswordHash } from './passwords.js';
+import { normaliseRedirectOptions, DEFAULT_REDIRECT_OPTIONS } from './redirects.js';
+import { normaliseRoutingRules, routeVisitor } from './routing.js';
+import { ValidationError, ConflictError } from './errors.js';
 
-// In-memory storage for URLs and analytics
+const MAX_ANALYTICS_BUCKETS = 5000;
+
+// Longest validity a link can be given, in minutes (10 years). Keeps expiry dates far from the limits of Date.
+export const MAX_VALIDITY_MINUTES = 10 * 365 * 24 * 60;
+
+const checkValidity = (validity) => {
+  if (!Number.isInteger(validity) || validity < 1 || validity > MAX_VALIDITY_MINUTES) {
+    throw new ValidationError('VALIDATION_FAILED', `validity must be an integer from 1 to ${MAX_VALIDITY_MINUTES} minutes`);
+  }
+};
+
+// Sort options of queryURLs and the link field each one orders by
+export const URL_SORT_FIELDS = { createdAt: 'createdAt', expiry: 'expiryDate', clicks: 'totalClicks' };
+
+// Pagination cursors are opaque to clients: base64url JSON of the sort position of the last link on a page
+// (its sort value, an ISO date or a click total, and its shortcode)
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor, sort, order) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('INVALID_CURSOR', 'Invalid cursor');
+  }
+
+  const valueType = URL_SORT_FIELDS[sort] === 'totalClicks' ? 'number' : 'string';
+  if (position?.sort !== sort || position?.order !== order || typeof position.value !== valueType || typeof position.shortcode !== 'string') {
+    throw new ValidationError('INVALID_CURSOR', 'Invalid cursor: it does not belong to this sort order');
+  }
+
+  return position;
+};
+
+// Optional launch time and click limit of a link; returns the fields stored on the link
+const normaliseAvailability = ({ activeFrom, maxClicks }, expiryDate) => {
+  const availability = {};
+
+  if (activeFrom !== undefined && activeFrom !== null) {
+    const start = new Date(activeFrom);
+    if (typeof activeFrom !== 'string' || Number.isNaN(start.getTime())) {
+      throw new ValidationError('INVALID_AVAILABILITY', 'activeFrom must be an ISO 8601 date');
+    }
+    if (start >= expiryDate) {
+      throw new ValidationError('INVALID_AVAILABILITY', 'activeFrom must be before the expiry date');
+    }
+    availability.activeFrom = start.toISOString();
+  }
+
+  if (maxClicks !== undefined && maxClicks !== null) {
+    if (!Number.isInteger(maxClicks) || maxClicks < 1) {
+      throw new ValidationError('INVALID_AVAILABILITY', 'maxClicks must be a positive integer');
+    }
+    availability.maxClicks = maxClicks;
+  }
+
+  return availability;
+};
+
+// URL and analytics store, backed by a pluggable storage adapter (in-memory by default)
 export class URLStore {
-  constructor() {
-    this.urls = new Map(); // shortcode -> url data
-    this.analytics = new Map(); // shortcode -> analytics data
+  constructor(storage = new MemoryStorage(), {
+    baseUrl = 'http://localhost:3000',
+    defaultValidity = 30,
+    urlPolicy,
+    geoip,
+    privacy = {},
+    lifecycle = {},
+    archive = null,
+    webhooks = null,
+    reservedShortcodes = new Set()
+  } = {}) {
+    this.storage = storage;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.defaultValidity = defaultValidity;
+    this.urlPolicy = urlPolicy || new URLPolicy({ baseUrl: this.baseUrl });
+    this.geoip = geoip || new GeoIPDatabase(); // no database: coarse fallback only
+    this.privacy = { ipAnonymization: 'none', ipHashSalt: '', clickRetentionDays: 0, ...privacy };
+    // Expired links are archived after the grace period; their shortcode stays reserved until the cooldown ends
+    this.lifecycle = { archiveAfterMinutes: 24 * 60, shortcodeCooldownMinutes: 30 * 24 * 60, ...lifecycle };
+    this.archive = archive; // optional LinkArchive receiving archived links
+    this.webhooks = webhooks; // optional WebhookManager notified of link events
+    // Lower case names taken by the service's own routes ("health", "metrics"...). Read on every check, so the
+    // set may be filled in after construction as routes are registered.
+    this.reservedShortcodes = reservedShortcodes;
+    this.lastSweepAt = new Date(); // links expiring after this are reported once by the sweeper
+  }
+
+  // Public short link for a shortcode
+  buildShortLink(shortcode) {
+    return `${this.baseUrl}/${shortcode}`;
+  }
+
+  // Owner scoping: an undefined owner means "no restriction" (admin), anything else must match the link's owner
+  isVisibleTo(urlData, owner) {
+    return owner === undefined || urlData.owner === owner;
+  }
+
+  // Routes match case-insensitively, so "Metrics" would be shadowed by /metrics as well
+  isReservedShortcode(shortcode) {
+    return this.reservedShortcodes.has(shortcode.toLowerCase());
   }
 
   // Create a new short URL
-  createShortURL(originalUrl, validity = 30, customShortcode = null) {
-    Logger.info('Creating short URL', { originalUrl, validity, customShortcode });
+  async createShortURL(originalUrl, validity = this.defaultValidity, customShortcode = null, { owner = null, password, redirect, activeFrom, maxClicks, routingRules } = {}) {
+    Logger.info('Creating short URL', {
+      originalUrl, validity, customShortcode, owner, passwordProtected: Boolean(password), redirect, activeFrom, maxClicks,
+      routingRules: routingRules?.length
+    });
 
-    // Validate URL format
-    try {
-      new URL(originalUrl);
-    } catch (error) {
-      Logger.error('Invalid URL format', { originalUrl, error: error.message });
-      throw new Error('Invalid URL format');
-    }
+    this.validateURL(originalUrl);
+    checkValidity(validity);
+    const redirectOptions = normaliseRedirectOptions(redirect);
+    const rules = normaliseRoutingRules(routingRules, url => this.validateURL(url));
+
+    // Hashed before storage is consulted, so the shortcode checks and the save below run without a pause
+    // in which another request could take the same shortcode
+    const passwordHash = password ? await hashPassword(password) : null;
+
+    // Calculate expiry date
+    const createdAt = new Date();
+    const expiryDate = new Date(createdAt.getTime() + (validity * 60 * 1000));
+    const availability = normaliseAvailability({ activeFrom, maxClicks }, expiryDate);
 
     // Generate or validate shortcode
     let shortcode;
@@ -26,13 +140,22 @@ export class URLStore {
       // Validate custom shortcode (alphanumeric, reasonable length)
       if (!/^[a-zA-Z0-9]{1,20}$/.test(customShortcode)) {
         Logger.error('Invalid custom shortcode format', { customShortcode });
-        throw new Error('Invalid shortcode format. Must be alphanumeric and up to 20 characters');
+        throw new ValidationError('INVALID_SHORTCODE', 'Invalid shortcode format. Must be alphanumeric and up to 20 characters');
       }
       
-      // Check if shortcode already exists
-      if (this.urls.has(customShortcode)) {
+      // Check if shortcode already exists (archived links keep their code reserved for a cooldown period)
+      const existing = this.storage.getURL(customShortcode);
+      if (existing?.archivedAt) {
+        Logger.error('Shortcode recently expired, still in cooldown', { customShortcode, expiryDate: existing.expiryDate });
+        throw new ConflictError('SHORTCODE_COOLING_DOWN', 'Shortcode recently expired or was deleted and is not available for reuse yet');
+      }
+      if (existing) {
         Logger.error('Shortcode collision detected', { customShortcode });
-        throw new Error('Shortcode already exists');
+        throw new ConflictError('SHORTCODE_TAKEN', 'Shortcode already exists');
+      }
+      if (this.isReservedShortcode(customShortcode)) {
+        Logger.error('Reserved shortcode requested', { customShortcode });
+        throw new ConflictError('SHORTCODE_RESERVED', 'Shortcode is reserved for a route of the service');
       }
       
       shortcode = customShortcode;
@@ -40,26 +163,28 @@ export class URLStore {
       // Generate unique shortcode
       do {
         shortcode = nanoid(6);
-      } while (this.urls.has(shortcode));
+      } while (this.storage.hasURL(shortcode) || this.isReservedShortcode(shortcode));
     }
 
-    // Calculate expiry date
-    const createdAt = new Date();
-    const expiryDate = new Date(createdAt.getTime() + (validity * 60 * 1000));
-
     // Store URL data
     const urlData = {
       originalUrl,
       shortcode,
       createdAt: createdAt.toISOString(),
       expiryDate: expiryDate.toISOString(),
-      validity
+      validity,
+      owner,
+      redirect: redirectOptions,
+      ...availability,
+      ...(rules.length > 0 && { routingRules: rules }),
+      // Only a salted hash of the password is ever stored
+      ...(passwordHash && { passwordHash })
     };
 
-    this.urls.set(shortcode, urlData);
+    this.storage.saveURL(urlData);
 
     // Initialize analytics
-    this.analytics.set(shortcode, {
+    this.storage.saveAnalytics({
       shortcode,
       totalClicks: 0,
       clicks: []
@@ -67,57 +192,313 @@ export class URLStore {
 
     Logger.info('Short URL created successfully', { shortcode, originalUrl, expiryDate: urlData.expiryDate });
 
+    this.webhooks?.dispatch('link.created', {
+      shortcode,
+      shortLink: this.buildShortLink(shortcode),
+      originalUrl,
+      createdAt: urlData.createdAt,
+      expiryDate: urlData.expiryDate,
+      owner
+    }, { linkOwner: owner });
+
     return {
-      shortLink: `http://localhost:3000/${shortcode}`,
-      expiry: urlData.expiryDate
+      shortLink: this.buildShortLink(shortcode),
+      expiry: urlData.expiryDate,
+      passwordProtected: Boolean(urlData.passwordHash),
+      redirect: urlData.redirect,
+      activeFrom: urlData.activeFrom ?? null,
+      maxClicks: urlData.maxClicks ?? null,
+      routingRules: urlData.routingRules ?? []
     };
   }
 
-  // Get original URL by shortcode
-  getOriginalURL(shortcode) {
-    const urlData = this.urls.get(shortcode);
+  // Validate URL format and destination policy (shared by create and update)
+  validateURL(originalUrl) {
+    try {
+      new URL(originalUrl);
+    } catch (error) {
+      Logger.error('Invalid URL format', { originalUrl, error: error.message });
+      throw new ValidationError('INVALID_URL', 'Invalid URL format');
+    }
+
+    this.urlPolicy.check(originalUrl);
+  }
+
+  // Update destination and/or expiry of an existing short URL
+  async updateShortURL(shortcode, { url, validity, expiryDate, password } = {}, { owner } = {}) {
+    // Hashed before the link is read so no other update can land between the read and the save
+    const passwordHash = typeof password === 'string' ? await hashPassword(password) : undefined;
+    const urlData = this.storage.getURL(shortcode);
+
+    if (!urlData || urlData.deletedAt || urlData.archivedAt || !this.isVisibleTo(urlData, owner)) {
+      Logger.warn('Cannot update unknown shortcode', { shortcode });
+      return null;
+    }
+
+    Logger.info('Updating short URL', { shortcode, url, validity, expiryDate });
+
+    const updated = { ...urlData, updatedAt: new Date().toISOString() };
+
+    if (url !== undefined) {
+      this.validateURL(url);
+      updated.originalUrl = url;
+    }
+
+    // Validity is counted from now, so it can be used to extend an expired link
+    if (validity !== undefined) {
+      checkValidity(validity);
+      updated.validity = validity;
+      updated.expiryDate = new Date(Date.now() + (validity * 60 * 1000)).toISOString();
+    } else if (expiryDate !== undefined) {
+      const newExpiry = new Date(expiryDate);
+      if (newExpiry.getTime() - Date.now() > MAX_VALIDITY_MINUTES * 60 * 1000) {
+        throw new ValidationError('VALIDATION_FAILED', `expiryDate must be at most ${MAX_VALIDITY_MINUTES} minutes from now`);
+      }
+      updated.expiryDate = newExpiry.toISOString();
+      updated.validity = Math.round((newExpiry.getTime() - new Date(urlData.createdAt).getTime()) / (60 * 1000));
+    }
+
+    // A shorter expiry must still leave the link a window in which it is active
+    if (updated.activeFrom && new Date(updated.activeFrom) >= new Date(updated.expiryDate)) {
+      throw new ValidationError('INVALID_AVAILABILITY', 'activeFrom must be before the expiry date');
+    }
+
+    // A string sets a new password, null removes the protection
+    if (password === null) {
+      delete updated.passwordHash;
+    } else if (password !== undefined) {
+      updated.passwordHash = passwordHash;
+    }
+
+    this.storage.saveURL(updated);
+
+    Logger.info('Short URL updated successfully', { shortcode, originalUrl: updated.originalUrl, expiryDate: updated.expiryDate });
+
+    return {
+      shortcode,
+      originalUrl: updated.originalUrl,
+      shortLink: this.buildShortLink(shortcode),
+      expiry: updated.expiryDate,
+      passwordProtected: Boolean(updated.passwordHash)
+    };
+  }
+
+  // Delete a short URL. By default the link is marked deleted and keeps its analytics readable until the
+  // sweeper archives it like an expired link (counted from the deletion); purge removes everything.
+  // Archived links are already gone apart from their tombstone and can't be deleted.
+  deleteShortURL(shortcode, { purge = false, owner } = {}) {
+    const urlData = this.storage.getURL(shortcode);
+
+    if (!urlData || urlData.archivedAt || (urlData.deletedAt && !purge) || !this.isVisibleTo(urlData, owner)) {
+      Logger.warn('Cannot delete unknown shortcode', { shortcode });
+      return false;
+    }
+
+    if (purge) {
+      this.storage.deleteURL(shortcode);
+      Logger.info('Short URL purged', { shortcode });
+    } else {
+      this.storage.saveURL({ ...urlData, deletedAt: new Date().toISOString() });
+      Logger.info('Short URL deleted (analytics kept)', { shortcode });
+    }
+
+    this.webhooks?.dispatch('link.deleted', {
+      shortcode,
+      originalUrl: urlData.originalUrl ?? null,
+      purged: purge,
+      deletedAt: new Date().toISOString()
+    }, { linkOwner: urlData.owner ?? null });
+
+    return true;
+  }
+
+  // Status of a stored link (see linkStatus in storage.js). totalClicks is looked up when needed and not given.
+  getLinkStatus(urlData, { now = new Date(), totalClicks } = {}) {
+    const clicks = urlData.maxClicks ? totalClicks ?? this.storage.getClickTotal(urlData.shortcode) ?? 0 : 0;
+    return linkStatus(urlData, clicks, now);
+  }
+
+  // Resolve a shortcode to its status (see getLinkStatus) or 'not_found'
+  resolveShortcode(shortcode) {
+    const urlData = this.storage.getURL(shortcode);
     
     if (!urlData) {
       Logger.warn('Shortcode not found', { shortcode });
-      return null;
+      return { status: 'not_found', urlData: null };
     }
 
-    // Check if expired
-    const now = new Date();
-    const expiryDate = new Date(urlData.expiryDate);
-    
-    if (now > expiryDate) {
-      Logger.warn('Shortcode expired', { shortcode, expiryDate: urlData.expiryDate });
-      return null;
+    const status = this.getLinkStatus(urlData);
+
+    if (status !== 'active') {
+      Logger.warn('Shortcode not active', {
+        shortcode,
+        status,
+        expiryDate: urlData.expiryDate,
+        activeFrom: urlData.activeFrom,
+        maxClicks: urlData.maxClicks
+      });
     }
 
-    return urlData;
+    return { status, urlData };
   }
 
-  // Record a click for analytics
-  recordClick(shortcode, referrer = '', userAgent = '', ip = '') {
-    const analytics = this.analytics.get(shortcode);
-    
-    if (analytics) {
-      analytics.totalClicks++;
-      analytics.clicks.push({
-        timestamp: new Date().toISOString(),
+  // Check the password of a protected link
+  async verifyLinkPassword(shortcode, password) {
+    const urlData = this.storage.getURL(shortcode);
+
+    if (!urlData?.passwordHash) {
+      return false;
+    }
+
+    const valid = await verifyPassword(password, urlData.passwordHash);
+
+    if (!valid) {
+      Logger.warn('Incorrect link password', { shortcode });
+    }
+
+    return valid;
+  }
+
+  // Get original URL by shortcode (null unless the link is active)
+  getOriginalURL(shortcode) {
+    const { status, urlData } = this.resolveShortcode(shortcode);
+    return status === 'active' ? urlData : null;
+  }
+
+  // Archive links that have been expired or deleted for longer than the grace period and release
+  // archived shortcodes whose cooldown has ended. Deleted links count from their deletion (or expiry if earlier).
+  sweepExpired(now = new Date()) {
+    const { archiveAfterMinutes, shortcodeCooldownMinutes } = this.lifecycle;
+    const previousSweepAt = this.lastSweepAt;
+    this.lastSweepAt = now;
+    let archived = 0;
+    let released = 0;
+
+    for (const urlData of this.storage.listURLs()) {
+      // Report links that expired since the previous sweep
+      const expiryDate = new Date(urlData.expiryDate);
+      if (!urlData.archivedAt && !urlData.deletedAt && expiryDate > previousSweepAt && expiryDate <= now) {
+        this.webhooks?.dispatch('link.expired', {
+          shortcode: urlData.shortcode,
+          originalUrl: urlData.originalUrl,
+          expiryDate: urlData.expiryDate
+        }, { linkOwner: urlData.owner ?? null });
+      }
+
+      const endedAt = urlData.deletedAt && new Date(urlData.deletedAt) < expiryDate ? new Date(urlData.deletedAt) : expiryDate;
+      const endedForMinutes = (now.getTime() - endedAt.getTime()) / (60 * 1000);
+
+      if (urlData.archivedAt) {
+        if (endedForMinutes >= shortcodeCooldownMinutes) {
+          this.storage.deleteURL(urlData.shortcode);
+          released++;
+        }
+        continue;
+      }
+
+      if (endedForMinutes >= archiveAfterMinutes) {
+        this.archive?.append(urlData, this.storage.getAnalytics(urlData.shortcode));
+
+        // Replace the full record (and its analytics) with a small tombstone that reserves the shortcode
+        this.storage.deleteURL(urlData.shortcode);
+        this.storage.saveURL({
+          shortcode: urlData.shortcode,
+          createdAt: urlData.createdAt,
+          expiryDate: urlData.expiryDate,
+          owner: urlData.owner ?? null,
+          // Kept so the shortcode still reports "deleted" rather than "expired"
+          ...(urlData.deletedAt && { deletedAt: urlData.deletedAt }),
+          archivedAt: now.toISOString()
+        });
+        archived++;
+      }
+    }
+
+    if (archived > 0 || released > 0) {
+      Logger.info('Expired links swept', { archived, released });
+    }
+
+    return { archived, released };
+  }
+
+  // Pick the destination for a visit according to the link's routing rules: { url, rule, variant }
+  routeVisit(urlData, { userAgent = '', acceptLanguage = '', ip = '' } = {}) {
+    if (!urlData.routingRules?.length) {
+      return { url: urlData.originalUrl, rule: null, variant: null };
+    }
+
+    return routeVisitor(urlData, {
+      userAgent,
+      acceptLanguage,
+      country: this.lookupLocation(ip).country,
+      visitorKey: `${ip}|${userAgent}`
+    });
+  }
+
+  // Record a click for analytics. With doNotTrack only the click itself is counted, without visitor details.
+  // The matched routing rule (and A/B variant) is kept either way so variants can be compared.
+  recordClick(shortcode, referrer = '', userAgent = '', ip = '', { doNotTrack = false, route = null } = {}) {
+    const timestamp = new Date().toISOString();
+    const routing = route?.rule ? { rule: route.rule, variant: route.variant } : {};
+    const click = doNotTrack
+      ? { timestamp, referrer: 'direct', userAgent: '', ip: '', country: null, region: null, geolocation: 'Not tracked', doNotTrack: true, ...routing }
+      : {
+        timestamp,
         referrer: referrer || 'direct',
         userAgent,
-        ip,
-        geolocation: this.getCoarseGeolocation(ip) // Simplified geolocation
-      });
+        // Location is resolved from the full address before it is anonymised
+        ...this.lookupLocation(ip),
+        ip: anonymizeIP(ip, { mode: this.privacy.ipAnonymization, salt: this.privacy.ipHashSalt }),
+        ...routing
+      };
+
+    const totalClicks = this.storage.appendClick(shortcode, click);
+
+    if (totalClicks !== null) {
+      Logger.info('Click recorded', { shortcode, totalClicks, referrer: click.referrer, ip: click.ip, doNotTrack, rule: click.rule });
 
-      Logger.info('Click recorded', { shortcode, totalClicks: analytics.totalClicks, referrer, ip });
+      if (this.webhooks) {
+        // Subscribers get the click without the visitor's address
+        const { ip: _ip, ...details } = click;
+        this.webhooks.dispatch('link.clicked', { shortcode, totalClicks, ...details }, {
+          linkOwner: this.storage.getURL(shortcode)?.owner ?? null
+        });
+      }
     }
   }
 
+  // Drop click details older than the retention window; click totals are kept
+  pruneClickDetails() {
+    const { clickRetentionDays } = this.privacy;
+
+    if (!clickRetentionDays) {
+      return 0;
+    }
+
+    const before = new Date(Date.now() - clickRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const removed = this.storage.pruneClicks(before);
+
+    Logger.info('Click details pruned', { retentionDays: clickRetentionDays, before, removed });
+    return removed;
+  }
+
+  // Public short link of a live (not deleted or archived) link visible to the owner, or null
+  getShortLink(shortcode, { owner } = {}) {
+    const urlData = this.storage.getURL(shortcode);
+
+    if (!urlData || urlData.deletedAt || urlData.archivedAt || !this.isVisibleTo(urlData, owner)) {
+      return null;
+    }
+
+    return this.buildShortLink(shortcode);
+  }
+
   // Get analytics for a shortcode
-  getAnalytics(shortcode) {
-    const urlData = this.urls.get(shortcode);
-    const analytics = this.analytics.get(shortcode);
+  getAnalytics(shortcode, { owner } = {}) {
+    const urlData = this.storage.getURL(shortcode);
+    const analytics = this.storage.getAnalytics(shortcode);
 
-    if (!urlData || !analytics) {
+    if (!urlData || !analytics || !this.isVisibleTo(urlData, owner)) {
       Logger.warn('Analytics not found for shortcode', { shortcode });
       return null;
     }
@@ -127,37 +508,271 @@ export class URLStore {
       originalUrl: urlData.originalUrl,
       createdAt: urlData.createdAt,
       expiryDate: urlData.expiryDate,
+      owner: urlData.owner ?? null,
+      passwordProtected: Boolean(urlData.passwordHash),
+      redirect: urlData.redirect ?? DEFAULT_REDIRECT_OPTIONS,
+      activeFrom: urlData.activeFrom ?? null,
+      maxClicks: urlData.maxClicks ?? null,
+      routingRules: urlData.routingRules ?? [],
+      status: this.getLinkStatus(urlData, { totalClicks: analytics.totalClicks }),
+      ...(urlData.deletedAt && { deletedAt: urlData.deletedAt }),
       totalClicks: analytics.totalClicks,
       clicks: analytics.clicks
     };
   }
 
-  // Get all URLs (for statistics page)
-  getAllURLs() {
-    const allUrls = [];
-    
-    for (const [shortcode, urlData] of this.urls.entries()) {
-      const analytics = this.analytics.get(shortcode);
-      allUrls.push({
-        shortcode,
-        originalUrl: urlData.originalUrl,
-        shortLink: `http://localhost:3000/${shortcode}`,
-        createdAt: urlData.createdAt,
-        expiryDate: urlData.expiryDate,
-        totalClicks: analytics ? analytics.totalClicks : 0
-      });
+  // Get aggregated analytics (time series and breakdowns) for a shortcode.
+  // The range defaults to the link's lifetime so far.
+  getAggregatedAnalytics(shortcode, { from, to, bucket = 'hour', top = 10 } = {}, { owner } = {}) {
+    const urlData = this.storage.getURL(shortcode);
+    const analytics = this.storage.getAnalytics(shortcode);
+
+    if (!urlData || !analytics || !this.isVisibleTo(urlData, owner)) {
+      Logger.warn('Analytics not found for shortcode', { shortcode });
+      return null;
+    }
+
+    const rangeFrom = from || new Date(urlData.createdAt);
+    const rangeTo = to || new Date();
+    const buckets = Math.ceil((rangeTo.getTime() - rangeFrom.getTime()) / BUCKET_SIZES[bucket]);
+
+    if (buckets > MAX_ANALYTICS_BUCKETS) {
+      Logger.warn('Analytics range too large', { shortcode, bucket, buckets });
+      throw new ValidationError('ANALYTICS_RANGE_TOO_LARGE', `Analytics range too large: ${buckets} ${bucket} buckets (maximum ${MAX_ANALYTICS_BUCKETS}). Use a larger bucket or a shorter range`);
+    }
+
+    const result = aggregateClicks(analytics.clicks, { from: rangeFrom, to: rangeTo, bucket, top });
+
+    Logger.info('Aggregated analytics computed', { shortcode, bucket, buckets, totalClicks: result.totalClicks });
+
+    return {
+      shortcode,
+      originalUrl: urlData.originalUrl,
+      allTimeClicks: analytics.totalClicks,
+      ...result
+    };
+  }
+
+  // A link returned by storage.queryURLs (stored fields plus totalClicks and status) as listed on the statistics page
+  toListedURL(link) {
+    return {
+      shortcode: link.shortcode,
+      originalUrl: link.originalUrl,
+      shortLink: this.buildShortLink(link.shortcode),
+      createdAt: link.createdAt,
+      expiryDate: link.expiryDate,
+      owner: link.owner ?? null,
+      passwordProtected: Boolean(link.passwordHash),
+      redirect: link.redirect ?? DEFAULT_REDIRECT_OPTIONS,
+      activeFrom: link.activeFrom ?? null,
+      maxClicks: link.maxClicks ?? null,
+      routingRules: link.routingRules ?? [],
+      status: link.status,
+      totalClicks: link.totalClicks
+    };
+  }
+
+  // Links visible to the owner (deleted and archived ones included) created within [from, to), with click totals.
+  // Links and clicks are read from storage as the export is consumed, never all at once.
+  // Password hashes are left out unless includePasswordHashes is set (admin exports meant for re-import).
+  *exportLinks({ from, to, owner, includePasswordHashes = false } = {}) {
+    for (const urlData of this.storage.iterateURLs()) {
+      const createdAt = new Date(urlData.createdAt);
+
+      if (!this.isVisibleTo(urlData, owner) || (from && createdAt < from) || (to && createdAt >= to)) {
+        continue;
+      }
+
+      const { passwordHash, ...link } = urlData;
+      yield {
+        ...link,
+        ...(includePasswordHashes && passwordHash && { passwordHash }),
+        totalClicks: this.storage.getClickTotal(urlData.shortcode) ?? 0
+      };
     }
+  }
+
+  // Recorded clicks of the owner's links (or one link) within [from, to), each tagged with its shortcode
+  *exportClicks({ from, to, shortcode, owner } = {}) {
+    const links = shortcode ? [this.storage.getURL(shortcode)].filter(Boolean) : this.storage.iterateURLs();
 
-    return allUrls;
+    for (const urlData of links) {
+      if (!this.isVisibleTo(urlData, owner)) {
+        continue;
+      }
+
+      for (const click of this.storage.iterateClicks(urlData.shortcode)) {
+        const timestamp = new Date(click.timestamp);
+        if ((from && timestamp < from) || (to && timestamp >= to)) {
+          continue;
+        }
+
+        yield { shortcode: urlData.shortcode, ...click };
+      }
+    }
+  }
+
+  // Restore an exported link with its original shortcode, dates and click total (click details are not restored).
+  // Options are validated like on creation; existing shortcodes are never overwritten.
+  importLink(record, { owner = null } = {}) {
+    const invalid = (message) => new ValidationError('INVALID_IMPORT_RECORD', message);
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw invalid('must be an object');
+    }
+
+    const { shortcode, originalUrl, passwordHash, totalClicks = 0, redirect, deletedAt } = record;
+
+    // Generated shortcodes may contain "-" and "_", unlike custom ones
+    if (typeof shortcode !== 'string' || !/^[a-zA-Z0-9_-]{1,20}$/.test(shortcode)) {
+      throw invalid('shortcode must be 1-20 letters, digits, "-" or "_"');
+    }
+
+    if (this.storage.getURL(shortcode)) {
+      Logger.warn('Import conflict, shortcode already exists', { shortcode });
+      throw new ConflictError('SHORTCODE_TAKEN', 'Shortcode already exists');
+    }
+
+    if (this.isReservedShortcode(shortcode)) {
+      Logger.warn('Import conflict, shortcode is reserved', { shortcode });
+      throw new ConflictError('SHORTCODE_RESERVED', 'Shortcode is reserved for a route of the service');
+    }
+
+    if (record.archivedAt) {
+      throw invalid('archived links cannot be imported');
+    }
+
+    if (typeof originalUrl !== 'string') {
+      throw invalid('originalUrl is required');
+    }
+    this.validateURL(originalUrl);
+
+    const createdAt = new Date(record.createdAt);
+    const expiryDate = new Date(record.expiryDate);
+    if (isNaN(createdAt.getTime()) || isNaN(expiryDate.getTime()) || expiryDate <= createdAt) {
+      throw invalid('createdAt and expiryDate must be ISO 8601 dates with expiryDate after createdAt');
+    }
+
+    if (expiryDate - createdAt > MAX_VALIDITY_MINUTES * 60 * 1000) {
+      throw invalid(`expiryDate must be at most ${MAX_VALIDITY_MINUTES} minutes after createdAt`);
+    }
+    if (record.validity !== undefined && record.validity !== null &&
+      (!Number.isInteger(record.validity) || record.validity < 1 || record.validity > MAX_VALIDITY_MINUTES)) {
+      throw invalid(`validity must be an integer from 1 to ${MAX_VALIDITY_MINUTES} minutes`);
+    }
+
+    if (deletedAt !== undefined && deletedAt !== null && isNaN(new Date(deletedAt).getTime())) {
+      throw invalid('deletedAt must be an ISO 8601 date');
+    }
+
+    if (passwordHash !== undefined && passwordHash !== null && !isPasswordHash(passwordHash)) {
+      throw invalid('passwordHash is not a hash produced by this service');
+    }
+
+    if (!Number.isInteger(totalClicks) || totalClicks < 0) {
+      throw invalid('totalClicks must be a non-negative integer');
+    }
+
+    // Stored redirect options use statusCode where the create API takes redirectType
+    const redirectOptions = normaliseRedirectOptions(redirect ? {
+      redirectType: redirect.statusCode,
+      queryPassthrough: redirect.queryPassthrough,
+      utm: redirect.utm,
+      forcePreview: redirect.forcePreview
+    } : undefined);
+    const availability = normaliseAvailability({ activeFrom: record.activeFrom, maxClicks: record.maxClicks }, expiryDate);
+    const rules = normaliseRoutingRules(record.routingRules, url => this.validateURL(url));
+
+    const urlData = {
+      originalUrl,
+      shortcode,
+      createdAt: createdAt.toISOString(),
+      expiryDate: expiryDate.toISOString(),
+      validity: Number.isInteger(record.validity) ? record.validity : Math.round((expiryDate - createdAt) / (60 * 1000)),
+      owner,
+      redirect: redirectOptions,
+      ...availability,
+      ...(rules.length > 0 && { routingRules: rules }),
+      ...(passwordHash && { passwordHash }),
+      ...(deletedAt && { deletedAt: new Date(deletedAt).toISOString() })
+    };
+
+    this.storage.saveURL(urlData);
+    this.storage.saveAnalytics({ shortcode, totalClicks, clicks: [] });
+
+    Logger.info('Short URL imported', { shortcode, originalUrl, expiryDate: urlData.expiryDate, owner });
+
+    return {
+      shortcode,
+      shortLink: this.buildShortLink(shortcode),
+      expiry: urlData.expiryDate
+    };
+  }
+
+  // One page of the links that are neither deleted nor archived: searched (shortcode and originalUrl), filtered by
+  // status and creation date [from, to) and sorted. Ties are broken by shortcode so every link has a fixed position
+  // and cursors stay valid as links are added. Totals and statusCounts cover all matching links; statusCounts
+  // ignores the status filter. The storage adapter does the filtering and paging (see MemoryStorage.queryURLs).
+  queryURLs({ owner, q, statuses = [], from, to, sort = 'createdAt', order = 'desc', limit = 50, cursor } = {}) {
+    const sortField = URL_SORT_FIELDS[sort];
+    const after = cursor ? decodeCursor(cursor, sort, order) : null;
+
+    // One extra link tells whether there is a next page
+    const { links, total, totalClicks, statusCounts } = this.storage.queryURLs({
+      owner,
+      search: q ? q.toLowerCase() : null,
+      from,
+      to,
+      statuses,
+      sortField,
+      order,
+      after,
+      limit: limit + 1
+    });
+
+    const page = links.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      urls: page.map(link => this.toListedURL(link)),
+      totalUrls: total,
+      totalClicks,
+      statusCounts: { active: 0, expired: 0, scheduled: 0, exhausted: 0, ...statusCounts },
+      nextCursor: links.length > limit ? encodeCursor({ sort, order, value: last[sortField], shortcode: last.shortcode }) : null
+    };
+  }
+
+  // Number of stored links in each status (see getLinkStatus), deleted and archived ones included.
+  // Counted by the storage adapter, so a metrics scrape doesn't load every link.
+  countLinksByStatus() {
+    return { active: 0, expired: 0, scheduled: 0, exhausted: 0, deleted: 0, archived: 0, ...this.storage.countByStatus(new Date()) };
+  }
+
+  // Release the underlying storage (flushes and closes files/databases)
+  close() {
+    this.storage.close();
+  }
+
+  // Coarse location (country/region) from the offline GeoIP database, with a fallback when it has no match
+  lookupLocation(ip) {
+    if (isPrivateIP(ip)) {
+      return { country: null, region: null, geolocation: 'Local Network' };
+    }
+
+    const location = this.geoip.lookup(ip);
+    if (!location) {
+      return { country: null, region: null, geolocation: 'Unknown Location' };
+    }
+
+    return {
+      country: location.country,
+      region: location.region || null,
+      geolocation: location.region ? `${location.region}, ${location.country}` : location.country
+    };
   }
 
   // Simplified geolocation based on IP (coarse-grained as required)
   getCoarseGeolocation(ip) {
-    // In production, you would use a proper geolocation service
-    // For this evaluation, returning simplified location data
-    if (ip.startsWith('192.168.') || ip.startsWith('127.0.') || ip === '::1') {
-      return 'Local Network';
-    }
-    return 'Unknown Location'; // Placeholder for coarse-grained location
+    return this.lookupLocation(ip).geolocation;
   }
 }
@@ -0,0 +1,226 @@
+import { ValidationError } from '../models/errors.js';
+
+// Declarative request validation with a subset of JSON Schema, so the same schemas can be published in the
+// OpenAPI document. Supported keywords: type (a name or list of names), enum, default, minimum, maximum,
+// minLength, maxLength, pattern, format (date-time, uri), properties, required, additionalProperties (false),
+// items, minItems, maxItems and anyOf. Two extensions: "x-error-code" sets the error code for problems at or
+// below that schema (VALIDATION_FAILED otherwise) and "x-error-message" replaces the message of a failed anyOf.
+// Keywords such as description and example are documentation only.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+// Query strings and path parameters arrive as text; convert them to the schema type before checking.
+// Arrays are comma separated ("status=active,expired").
+const fromText = (value, schema) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const type = [].concat(schema.type ?? []).find(name => name !== 'null');
+
+  switch (type) {
+    case 'integer':
+    case 'number':
+      return value.trim() === '' ? value : Number(value);
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return value.split(',').map(item => fromText(item.trim(), schema.items || {}));
+    default:
+      return value;
+  }
+};
+
+const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+// Check one value, collecting problems as { path, code, message }. Returns the value with defaults applied
+// and, when `text` is set, converted from its text form (date-time strings become Date objects).
+const checkValue = (value, schema, path, issues, text, inheritedCode) => {
+  const code = schema['x-error-code'] || inheritedCode;
+  const fail = (message) => {
+    issues.push({ path, code, message });
+    return value;
+  };
+
+  if (text) {
+    value = fromText(value, schema);
+  }
+
+  if (schema.anyOf) {
+    const match = schema.anyOf.find(option => {
+      const optionIssues = [];
+      checkValue(value, option, path, optionIssues, text, code);
+      return optionIssues.length === 0;
+    });
+
+    if (!match) {
+      return fail(schema['x-error-message'] || 'does not match any of the allowed forms');
+    }
+    value = checkValue(value, match, path, [], text, code);
+  }
+
+  const types = [].concat(schema.type ?? []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+  }
+
+  if (value === null) {
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'cannot be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time') {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return fail('must be an ISO 8601 date');
+      }
+      return text ? date : value;
+    }
+    if (schema.format === 'uri' && !URL.canParse(value)) {
+      return fail('must be an absolute URL');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(schema.minItems === 1 ? 'cannot be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      return value.map((item, index) => checkValue(item, schema.items, childPath(path, index), issues, text, code));
+    }
+  }
+
+  if (matchesType(value, 'object') && !(value instanceof Date)) {
+    const properties = schema.properties || {};
+    const checked = { ...value };
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        issues.push({ path: childPath(path, name), code: properties[name]?.['x-error-code'] || code, message: 'is required' });
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const name of Object.keys(value).filter(key => !(key in properties))) {
+        issues.push({ path: childPath(path, name), code, message: 'is not a known field' });
+      }
+    }
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      if (value[name] !== undefined) {
+        checked[name] = checkValue(value[name], propertySchema, childPath(path, name), issues, text, code);
+      } else if (propertySchema.default !== undefined) {
+        checked[name] = propertySchema.default;
+      }
+    }
+
+    return checked;
+  }
+
+  return value;
+};
+
+const toValidationError = (issues) => {
+  const details = issues.map(({ location, path, message }) => ({ location, path, message: `${path || location} ${message}` }));
+  return new ValidationError(issues[0].code || 'VALIDATION_FAILED', details.map(detail => detail.message).join('; '), details);
+};
+
+// Validate a single value (e.g. one item of a batch). location names it in messages; text converts it
+// like a query parameter. Returns { value } or { error } with a ValidationError.
+export const validateValue = (value, schema, { location = 'body', text = false } = {}) => {
+  const issues = [];
+  const checked = checkValue(value, schema, '', issues, text);
+
+  if (issues.length > 0) {
+    return { error: toValidationError(issues.map(issue => ({ location, ...issue }))) };
+  }
+
+  return { value: checked };
+};
+
+// Middleware validating a request against { params, query, body } schemas. The checked values replace
+// req.params, req.query and req.body, with defaults applied and query/path text converted to the schema types
+// (empty query parameters count as absent). rules are checks across fields that run once the schemas pass:
+// functions of the request returning an error message, or null when the request is fine.
+export const validate = ({ params, query, body, rules = [] } = {}) => (req, res, next) => {
+  const issues = [];
+
+  for (const [location, schema] of Object.entries({ params, query, body })) {
+    if (!schema) {
+      continue;
+    }
+
+    let input = req[location];
+    if (location === 'query') {
+      input = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== ''));
+    }
+
+    const locationIssues = [];
+    const checked = checkValue(input, schema, '', locationIssues, location !== 'body');
+    issues.push(...locationIssues.map(issue => ({ location, ...issue })));
+    req[location] = checked;
+  }
+
+  if (issues.length > 0) {
+    return next(toValidationError(issues));
+  }
+
+  for (const rule of rules) {
+    const message = rule(req);
+    if (message) {
+      return next(new ValidationError('VALIDATION_FAILED', message));
+    }
+  }
+
+  next();
+};
@@ -0,0 +1,439 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import { nanoid } from 'nanoid';
+import { Logger } from '../middleware/logger.js';
+import { ValidationError } from './errors.js';
+import { isPrivateIP, parseCIDR } from './geoip.js';
+
+// Webhook subscriptions for link events with HMAC-signed deliveries.
+// Subscriptions are kept in memory and, when a file path is configured, saved to a JSON file.
+// Deliveries are queued in memory and retried with exponential backoff; the most recent ones form the delivery log.
+//
+// Every delivery is a POST with a JSON body { id, event, createdAt, data } and the headers
+//   X-Webhook-Id         delivery id (stable across retries, use it to deduplicate)
+//   X-Webhook-Event      event name
+//   X-Webhook-Timestamp  unix seconds of this attempt
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the subscription secret>
+//
+// Receivers on internal addresses (loopback, private, link-local...) are refused unless the subscription was
+// made with an admin key or allowPrivateTargets is set, so API keys can't make the server call internal services.
+// The address is checked both when subscribing and on every delivery, as the receiver's name is resolved.
+
+export const WEBHOOK_EVENTS = ['link.created', 'link.clicked', 'link.expired', 'link.deleted'];
+
+const MAX_DELIVERY_LOG = 1000; // finished deliveries kept for the log
+const MAX_PENDING_DELIVERIES = 10000;
+const MAX_CONCURRENT_DELIVERIES = 4;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+export const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const invalid = (message) => new ValidationError('INVALID_WEBHOOK', message);
+
+// Ranges beyond isPrivateIP's that are no place for a webhook receiver: unspecified, shared (CGNAT), IETF protocol
+// assignments, benchmarking, multicast and reserved, plus IPv6 forms that embed an IPv4 address
+const INTERNAL_RANGES = [
+  '0.0.0.0/8', '100.64.0.0/10', '192.0.0.0/24', '198.18.0.0/15', '224.0.0.0/3',
+  '::/128', '::ffff:0:0/96', '64:ff9b::/96', 'ff00::/8'
+].map(parseCIDR);
+
+export const isInternalAddress = (ip) => {
+  if (isPrivateIP(ip)) {
+    return true;
+  }
+  if (!net.isIP(ip)) {
+    return false;
+  }
+  const { version, start } = parseCIDR(ip);
+  return INTERNAL_RANGES.some(range => range.version === version && start >= range.start && start <= range.end);
+};
+
+// Host of a URL as an address when it is one ("[::1]" -> "::1"), or null for names
+const hostAddress = (url) => {
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  return net.isIP(host) ? host : null;
+};
+
+const isLocalName = (hostname) => hostname === 'localhost' || hostname.endsWith('.localhost');
+
+// Failure that retrying won't fix
+const permanentError = (message) => Object.assign(new Error(message), { permanent: true });
+
+// dns.lookup for connections to receivers that refuses names resolving to internal addresses. Used as the
+// socket's lookup, so the address checked is the address connected to.
+const externalLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const internal = addresses.find(entry => isInternalAddress(entry.address));
+    if (internal) {
+      return callback(permanentError(`${hostname} resolves to the internal address ${internal.address}`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// POST a body and resolve with the response status. Redirects are not followed.
+const post = (url, { headers, body, timeoutMs, lookup }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup
+  }, (response) => {
+    clearTimeout(timer);
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  const timer = setTimeout(() => {
+    request.destroy(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' }));
+  }, timeoutMs);
+
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+export class WebhookManager {
+  constructor({ filePath = null, maxAttempts = 6, timeoutSeconds = 10, retryBaseSeconds = 2, allowPrivateTargets = false } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.allowPrivateTargets = allowPrivateTargets;
+    this.maxAttempts = maxAttempts;
+    this.timeoutMs = timeoutSeconds * 1000;
+    this.retryBaseMs = retryBaseSeconds * 1000;
+    this.subscriptions = new Map();
+    this.deliveries = []; // oldest first
+    this.sending = new Set();
+    this.timer = null;
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    for (const subscription of JSON.parse(fs.readFileSync(this.filePath, 'utf8'))) {
+      this.subscriptions.set(subscription.id, subscription);
+    }
+
+    Logger.info('Webhook subscriptions loaded', { filePath: this.filePath, count: this.subscriptions.size });
+  }
+
+  // Write the whole file and swap it in, so a crash never leaves half a file behind.
+  // The file holds the signing secrets and is only readable by the owner.
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify([...this.subscriptions.values()], null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Subscription without its secret
+  toPublic({ secret, ...subscription }) {
+    return subscription;
+  }
+
+  isVisibleTo(subscription, owner) {
+    return owner === undefined || subscription.owner === owner;
+  }
+
+  // Register a subscription. owner null receives events for every link, otherwise only for that owner's links.
+  // The secret is generated unless given and is only ever returned here. allowPrivateTarget (for admins) lets
+  // the receiver be on an internal address.
+  subscribe({ url, events = ['*'], secret, owner = null, allowPrivateTarget = false }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw invalid('url must be a valid URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw invalid('url must use http or https');
+    }
+
+    const address = hostAddress(parsed);
+    if (!allowPrivateTarget && !this.allowPrivateTargets &&
+      (isLocalName(parsed.hostname) || (address && isInternalAddress(address)))) {
+      throw invalid('url must not point to a loopback, private or otherwise internal address');
+    }
+
+    if (!Array.isArray(events) || events.length === 0 ||
+      events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+      throw invalid(`events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')} or "*"`);
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 256)) {
+      throw invalid('secret must be a string of 16 to 256 characters');
+    }
+
+    const subscription = {
+      id: `wh_${nanoid(12)}`,
+      url: parsed.href,
+      events: [...new Set(events)],
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      owner,
+      ...(allowPrivateTarget && { allowPrivateTarget: true }),
+      createdAt: new Date().toISOString()
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.save();
+
+    Logger.info('Webhook subscription created', { id: subscription.id, url: subscription.url, events: subscription.events, owner });
+
+    return subscription;
+  }
+
+  list({ owner } = {}) {
+    return [...this.subscriptions.values()]
+      .filter(subscription => this.isVisibleTo(subscription, owner))
+      .map(subscription => this.toPublic(subscription));
+  }
+
+  get(id, { owner } = {}) {
+    const subscription = this.subscriptions.get(id);
+    return subscription && this.isVisibleTo(subscription, owner) ? subscription : null;
+  }
+
+  // Remove a subscription; its pending deliveries are dropped
+  unsubscribe(id, { owner } = {}) {
+    if (!this.get(id, { owner })) {
+      return false;
+    }
+
+    this.subscriptions.delete(id);
+    this.deliveries = this.deliveries.filter(delivery => delivery.subscriptionId !== id || delivery.status !== 'pending');
+    this.save();
+
+    Logger.info('Webhook subscription removed', { id });
+    return true;
+  }
+
+  // Queue an event for every matching subscription. linkOwner is the owner of the link the event is about.
+  dispatch(event, data, { linkOwner = null } = {}) {
+    for (const subscription of this.subscriptions.values()) {
+      const wantsEvent = subscription.events.includes('*') || subscription.events.includes(event);
+      const ownsLink = subscription.owner === null || subscription.owner === linkOwner;
+
+      if (wantsEvent && ownsLink) {
+        this.enqueue(subscription, event, data);
+      }
+    }
+  }
+
+  // Send a test event to one subscription
+  ping(id, { owner } = {}) {
+    const subscription = this.get(id, { owner });
+    if (!subscription) {
+      return null;
+    }
+
+    return this.toDeliveryView(this.enqueue(subscription, 'ping', { message: 'Webhook test from the URL shortener' }));
+  }
+
+  enqueue(subscription, event, data) {
+    const pending = this.deliveries.filter(delivery => delivery.status === 'pending').length;
+    const createdAt = new Date().toISOString();
+    const id = `dl_${nanoid(12)}`;
+
+    const delivery = {
+      id,
+      subscriptionId: subscription.id,
+      event,
+      body: JSON.stringify({ id, event, createdAt, data }),
+      status: 'pending',
+      attempts: 0,
+      createdAt,
+      nextAttemptAt: Date.now(),
+      lastAttemptAt: null,
+      responseStatus: null,
+      error: null,
+      deliveredAt: null
+    };
+
+    if (pending >= MAX_PENDING_DELIVERIES) {
+      Logger.error('Webhook queue full, delivery dropped', { subscriptionId: subscription.id, event });
+      delivery.status = 'failed';
+      delivery.error = 'Delivery queue full';
+    }
+
+    this.deliveries.push(delivery);
+    this.trimLog();
+
+    // Deliveries run in the background: their log lines (and retries) don't belong to the request that queued them
+    if (delivery.status === 'pending') {
+      Logger.runWithoutContext(() => this.processQueue());
+    }
+
+    return delivery;
+  }
+
+  // Drop the oldest finished deliveries beyond the log size
+  trimLog() {
+    let finished = this.deliveries.filter(delivery => delivery.status !== 'pending').length;
+
+    if (finished <= MAX_DELIVERY_LOG) {
+      return;
+    }
+
+    this.deliveries = this.deliveries.filter((delivery) => {
+      if (delivery.status !== 'pending' && finished > MAX_DELIVERY_LOG) {
+        finished--;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  toDeliveryView({ body, nextAttemptAt, ...delivery }) {
+    return {
+      ...delivery,
+      nextAttemptAt: delivery.status === 'pending' ? new Date(nextAttemptAt).toISOString() : null,
+      payload: JSON.parse(body)
+    };
+  }
+
+  // Delivery log of a subscription, newest first
+  getDeliveries(id, { owner, limit = 50 } = {}) {
+    if (!this.get(id, { owner })) {
+      return null;
+    }
+
+    return this.deliveries
+      .filter(delivery => delivery.subscriptionId === id)
+      .slice(-limit)
+      .reverse()
+      .map(delivery => this.toDeliveryView(delivery));
+  }
+
+  // Start every due delivery (up to the concurrency limit) and set a timer for the next one
+  processQueue() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    const waiting = this.deliveries.filter(delivery => delivery.status === 'pending' && !this.sending.has(delivery.id));
+
+    for (const delivery of waiting) {
+      if (this.sending.size >= MAX_CONCURRENT_DELIVERIES) {
+        return; // a finishing delivery calls processQueue again
+      }
+      if (delivery.nextAttemptAt <= now) {
+        this.attempt(delivery);
+      }
+    }
+
+    const upcoming = waiting.filter(delivery => !this.sending.has(delivery.id));
+    if (upcoming.length > 0) {
+      const nextAt = Math.min(...upcoming.map(delivery => delivery.nextAttemptAt));
+      this.timer = setTimeout(() => this.processQueue(), Math.max(nextAt - now, 0));
+      this.timer.unref();
+    }
+  }
+
+  // Exponential backoff with up to 20% jitter: base, 2x base, 4x base... capped at one hour
+  backoff(attempts) {
+    const delay = Math.min(this.retryBaseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  async attempt(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      delivery.status = 'failed';
+      delivery.error = 'Subscription removed';
+      return;
+    }
+
+    this.sending.add(delivery.id);
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const internalAllowed = subscription.allowPrivateTarget || this.allowPrivateTargets;
+
+    try {
+      const url = new URL(subscription.url);
+      const address = hostAddress(url);
+
+      // Addresses are connected to without a lookup, names are checked as they are resolved
+      if (!internalAllowed && (isLocalName(url.hostname) || (address && isInternalAddress(address)))) {
+        throw permanentError(`${url.hostname} is an internal address`);
+      }
+
+      const status = await post(subscription.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'url-shortener-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, delivery.body)}`
+        },
+        body: delivery.body,
+        timeoutMs: this.timeoutMs,
+        lookup: internalAllowed ? undefined : externalLookup
+      });
+
+      delivery.responseStatus = status;
+
+      if (status < 200 || status >= 300) {
+        throw new Error(`Receiver responded with HTTP ${status}`);
+      }
+
+      delivery.status = 'succeeded';
+      delivery.error = null;
+      delivery.deliveredAt = new Date().toISOString();
+      Logger.info('Webhook delivered', { id: delivery.id, event: delivery.event, attempts: delivery.attempts });
+    } catch (error) {
+      delivery.error = error.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs / 1000}s` : error.message;
+
+      if (delivery.attempts >= this.maxAttempts || error.permanent) {
+        delivery.status = 'failed';
+        Logger.error('Webhook delivery failed, giving up', {
+          id: delivery.id, subscriptionId: subscription.id, event: delivery.event, attempts: delivery.attempts, error: delivery.error
+        });
+      } else {
+        delivery.nextAttemptAt = Date.now() + this.backoff(delivery.attempts);
+        Logger.warn('Webhook delivery failed, will retry', {
+          id: delivery.id, event: delivery.event, attempts: delivery.attempts, error: delivery.error,
+          nextAttemptAt: new Date(delivery.nextAttemptAt).toISOString()
+        });
+      }
+    } finally {
+      this.sending.delete(delivery.id);
+      this.trimLog();
+      this.processQueue();
+    }
+  }
+
+  // Stop the retry timer (pending deliveries are not persisted)
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
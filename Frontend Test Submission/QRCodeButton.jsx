@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { API_KEY_HEADERS } from './apiKey';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
+
+// QR code button with a preview dialog and SVG/PNG downloads.
+// The QR endpoint needs the API key, so images are loaded with fetch and shown from object URLs.
+function QRCodeButton({ shortcode }) {
+  const [open, setOpen] = useState(false);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchQRCode = async (format, size) => {
+    const response = await fetch(
+      `${API_BASE_URL}/shorturls/${encodeURIComponent(shortcode)}/qr?format=${format}&size=${size}`,
+      { headers: API_KEY_HEADERS }
+    );
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || 'Failed to generate QR code');
+    }
+
+    return response.blob();
+  };
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    fetchQRCode('svg', 256)
+      .then((blob) => {
+        if (!cancelled) {
+          objectUrl = URL.createObjectURL(blob);
+          setPreviewUrl(objectUrl);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+      setPreviewUrl(null);
+      setError(null);
+    };
+  }, [open, shortcode]);
+
+  const download = async (format) => {
+    try {
+      const blob = await fetchQRCode(format, 1024);
+      const objectUrl = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = `${shortcode}-qr.${format}`;
+      link.click();
+      URL.revokeObjectURL(objectUrl);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <button
+        className="icon-btn"
+        onClick={() => setOpen(true)}
+        title="Show QR code"
+      >
+        🔳
+      </button>
+
+      {open && (
+        <div className="qr-overlay" onClick={() => setOpen(false)}>
+          <div className="qr-dialog" onClick={(e) => e.stopPropagation()}>
+            <h4>QR code for <code>{shortcode}</code></h4>
+
+            <div className="qr-preview">
+              {error && <div className="alert error">{error}</div>}
+              {!error && !previewUrl && <span className="loading"></span>}
+              {previewUrl && <img src={previewUrl} alt={`QR code for ${shortcode}`} width="256" height="256" />}
+            </div>
+
+            <div className="action-buttons">
+              <button className="btn btn-primary" onClick={() => download('svg')}>
+                Download SVG
+              </button>
+              <button className="btn btn-secondary" onClick={() => download('png')}>
+                Download PNG
+              </button>
+              <button className="btn btn-outline" onClick={() => setOpen(false)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default QRCodeButton;
@@ -1,36 +1,92 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import QRCodeButton from './QRCodeButton';
+import { API_KEY_HEADERS } from './apiKey';
 
-const API_BASE_URL = 'http://localhost:3000';
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
+
+const PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 500;
+
+const DEFAULT_FILTERS = { q: '', status: '', from: '', to: '', sort: 'createdAt', order: 'desc' };
 
 function StatisticsPage() {
   const [statistics, setStatistics] = useState(null);
+  const [urls, setUrls] = useState([]);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [expandedRows, setExpandedRows] = useState({});
+  const loadedCount = useRef(0);
+  const latestRequest = useRef(0);
+
+  const buildQuery = (cursor, limit) => {
+    const params = new URLSearchParams({ limit: String(limit), sort: filters.sort, order: filters.order });
+
+    if (filters.q.trim()) {
+      params.set('q', filters.q.trim());
+    }
+    if (filters.status) {
+      params.set('status', filters.status);
+    }
+    // Date inputs are local calendar days; "to" includes the whole day
+    if (filters.from) {
+      params.set('from', new Date(`${filters.from}T00:00:00`).toISOString());
+    }
+    if (filters.to) {
+      const end = new Date(`${filters.to}T00:00:00`);
+      end.setDate(end.getDate() + 1);
+      params.set('to', end.toISOString());
+    }
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+
+    return params;
+  };
 
-  const fetchStatistics = async () => {
-    setLoading(true);
+  // Without a cursor the list is replaced, with one the next page is appended
+  const fetchStatistics = async ({ cursor = null, limit = PAGE_SIZE } = {}) => {
+    const requestId = ++latestRequest.current;
+    cursor ? setLoadingMore(true) : setLoading(true);
     setError(null);
     
     try {
-      const response = await fetch(`${API_BASE_URL}/api/statistics`);
+      const response = await fetch(`${API_BASE_URL}/api/statistics?${buildQuery(cursor, limit)}`, { headers: API_KEY_HEADERS });
       const data = await response.json();
+
+      // A newer request (e.g. the user kept typing) has been sent in the meantime
+      if (requestId !== latestRequest.current) {
+        return;
+      }
       
       if (response.ok) {
         setStatistics(data);
+        setUrls(previousUrls => {
+          const nextUrls = cursor ? [...previousUrls, ...data.urls] : data.urls;
+          loadedCount.current = nextUrls.length;
+          return nextUrls;
+        });
       } else {
         setError(data.message || 'Failed to fetch statistics');
       }
     } catch {
       setError('Network error. Please ensure the server is running.');
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
   };
 
+  const updateFilter = (field, value) => {
+    setFilters(previousFilters => ({ ...previousFilters, [field]: value }));
+  };
+
   const fetchDetailedAnalytics = async (shortcode) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/shorturls/${shortcode}`);
+      const response = await fetch(`${API_BASE_URL}/shorturls/${shortcode}`, { headers: API_KEY_HEADERS });
       const data = await response.json();
       
       if (response.ok) {
@@ -62,14 +118,34 @@ function StatisticsPage() {
     return new Date(expiryDate) <= new Date();
   };
 
+  // Status comes from the API; older responses only carry the expiry date
+  const getStatus = (url) => {
+    return url.status || (isExpired(url.expiryDate) ? 'expired' : 'active');
+  };
+
+  const STATUS_TAGS = {
+    active: { className: 'success', label: 'Active' },
+    expired: { className: 'danger', label: 'Expired' },
+    scheduled: { className: 'info', label: 'Scheduled' },
+    exhausted: { className: 'warning', label: 'Exhausted' }
+  };
+
   useEffect(() => {
-    fetchStatistics();
+    // Wait for a pause in typing before querying
+    const timeout = setTimeout(() => fetchStatistics(), 300);
     
-    const interval = setInterval(fetchStatistics, 30000);
-    return () => clearInterval(interval);
-  }, []);
+    // Refresh keeps the pages that are already loaded
+    const interval = setInterval(() => {
+      fetchStatistics({ limit: Math.min(Math.max(loadedCount.current, PAGE_SIZE), MAX_PAGE_SIZE) });
+    }, 30000);
+
+    return () => {
+      clearTimeout(timeout);
+      clearInterval(interval);
+    };
+  }, [filters]);
 
-  if (loading) {
+  if (loading && !statistics) {
     return (
       <div className="loading-container">
         <span className="loading"></span>
@@ -78,7 +154,7 @@ function StatisticsPage() {
     );
   }
 
-  if (error) {
+  if (error && !statistics) {
     return (
       <div className="alert error">
         {error}
@@ -86,8 +162,9 @@ function StatisticsPage() {
     );
   }
 
-  const activeUrls = statistics?.urls?.filter(url => !isExpired(url.expiryDate)).length || 0;
-  const expiredUrls = statistics?.urls?.filter(url => isExpired(url.expiryDate)).length || 0;
+  const hasFilters = Object.keys(DEFAULT_FILTERS).some(field => filters[field] !== DEFAULT_FILTERS[field]);
+  const activeUrls = statistics?.statusCounts?.active ?? urls.filter(url => getStatus(url) === 'active').length;
+  const expiredUrls = statistics?.statusCounts?.expired ?? urls.filter(url => getStatus(url) === 'expired').length;
 
   return (
     <div>
@@ -113,6 +190,69 @@ function StatisticsPage() {
         </div>
       </div>
 
+      <div className="filter-bar">
+        <div className="form-group">
+          <label>Search</label>
+          <input
+            type="search"
+            value={filters.q}
+            onChange={(e) => updateFilter('q', e.target.value)}
+            placeholder="Shortcode or URL"
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Status</label>
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)}>
+            <option value="">All</option>
+            {Object.entries(STATUS_TAGS).map(([status, { label }]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label>Created from</label>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+        </div>
+
+        <div className="form-group">
+          <label>Created to</label>
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </div>
+
+        <div className="form-group">
+          <label>Sort by</label>
+          <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)}>
+            <option value="createdAt">Created</option>
+            <option value="expiry">Expiry</option>
+            <option value="clicks">Clicks</option>
+          </select>
+        </div>
+
+        <button
+          className="btn btn-outline"
+          onClick={() => updateFilter('order', filters.order === 'desc' ? 'asc' : 'desc')}
+          title="Toggle sort order"
+        >
+          {filters.order === 'desc' ? '↓ Desc' : '↑ Asc'}
+        </button>
+
+        <button
+          className="btn btn-outline"
+          onClick={() => setFilters(DEFAULT_FILTERS)}
+          disabled={!hasFilters}
+        >
+          Reset
+        </button>
+      </div>
+
+      {error && (
+        <div className="alert error">
+          {error}
+        </div>
+      )}
+
       <div className="table-container">
         <table className="table">
           <thead>
@@ -127,8 +267,9 @@ function StatisticsPage() {
             </tr>
           </thead>
           <tbody>
-            {statistics?.urls?.map((url) => {
-              const expired = isExpired(url.expiryDate);
+            {urls.map((url) => {
+              const status = getStatus(url);
+              const statusTag = STATUS_TAGS[status] || { className: '', label: status };
               const shortcode = url.shortLink.split('/').pop();
               const isExpanded = expandedRows[shortcode];
               
@@ -183,20 +324,33 @@ function StatisticsPage() {
                     </td>
                     
                     <td>
-                      <span className={`tag ${expired ? 'danger' : 'success'}`}>
-                        {expired ? 'Expired' : 'Active'}
+                      <span className={`tag ${statusTag.className}`}>
+                        {statusTag.label}
                       </span>
+                      {status === 'scheduled' && url.activeFrom && (
+                        <div style={{ fontSize: '0.8rem', color: '#6c757d', marginTop: '4px' }}>
+                          from {formatDate(url.activeFrom)} {new Date(url.activeFrom).toLocaleTimeString()}
+                        </div>
+                      )}
+                      {url.maxClicks && (
+                        <div style={{ fontSize: '0.8rem', color: '#6c757d', marginTop: '4px' }}>
+                          {url.totalClicks}/{url.maxClicks} clicks
+                        </div>
+                      )}
                     </td>
                     
                     <td>
-                      <button
-                        className="icon-btn"
-                        onClick={() => toggleRowExpansion(shortcode)}
-                        disabled={url.totalClicks === 0}
-                        title="View detailed analytics"
-                      >
-                        {isExpanded ? '−' : '+'}
-                      </button>
+                      <div className="action-buttons">
+                        <button
+                          className="icon-btn"
+                          onClick={() => toggleRowExpansion(shortcode)}
+                          disabled={url.totalClicks === 0}
+                          title="View detailed analytics"
+                        >
+                          {isExpanded ? '−' : '+'}
+                        </button>
+                        <QRCodeButton shortcode={shortcode} />
+                      </div>
                     </td>
                   </tr>
                   
@@ -213,13 +367,32 @@ function StatisticsPage() {
           </tbody>
         </table>
         
-        {(!statistics?.urls || statistics.urls.length === 0) && (
+        {urls.length === 0 && (
           <div className="empty-state">
             <h3>No URLs Found</h3>
-            <p>No URLs have been shortened yet. Go to the URL Shortener tab to create some!</p>
+            {hasFilters ? (
+              <p>No URLs match these filters.</p>
+            ) : (
+              <p>No URLs have been shortened yet. Go to the URL Shortener tab to create some!</p>
+            )}
           </div>
         )}
       </div>
+
+      {urls.length > 0 && (
+        <div className="pagination">
+          <span>Showing {urls.length} of {statistics?.totalUrls || 0}</span>
+          {statistics?.nextCursor && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => fetchStatistics({ cursor: statistics.nextCursor })}
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 }
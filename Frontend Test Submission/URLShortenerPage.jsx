@@ -1,10 +1,39 @@
 import React, { useState } from 'react';
+import QRCodeButton from './QRCodeButton';
+import { API_KEY_HEADERS } from './apiKey';
 
-const API_BASE_URL = 'http://localhost:3000';
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
+
+const FORM_FIELDS = ['url', 'validity', 'shortcode', 'password'];
+
+// API error codes that are about one form field; other errors are shown for the whole form
+const ERROR_CODE_FIELDS = {
+  INVALID_URL: 'url',
+  URL_TOO_LONG: 'url',
+  SCHEME_NOT_ALLOWED: 'url',
+  INVALID_HOST: 'url',
+  SELF_REFERENCE: 'url',
+  CHAINED_SHORT_LINK: 'url',
+  DOMAIN_BLOCKED: 'url',
+  DOMAIN_NOT_ALLOWED: 'url',
+  INVALID_SHORTCODE: 'shortcode',
+  SHORTCODE_TAKEN: 'shortcode',
+  SHORTCODE_COOLING_DOWN: 'shortcode',
+  SHORTCODE_RESERVED: 'shortcode'
+};
+
+// Form field an API error belongs to: by its code, or by the field of a request validation problem
+const getErrorField = ({ code, details }) => {
+  if (ERROR_CODE_FIELDS[code]) {
+    return ERROR_CODE_FIELDS[code];
+  }
+  const path = details?.[0]?.path;
+  return FORM_FIELDS.includes(path) ? path : 'general';
+};
 
 function URLShortenerPage() {
   const [urlForms, setUrlForms] = useState([
-    { id: 1, url: '', validity: 30, shortcode: '', loading: false }
+    { id: 1, url: '', validity: 30, shortcode: '', password: '', loading: false }
   ]);
   const [shortenedUrls, setShortenedUrls] = useState([]);
   const [errors, setErrors] = useState({});
@@ -33,6 +62,13 @@ function URLShortenerPage() {
     return null;
   };
 
+  const validatePassword = (password) => {
+    if (password && (password.length < 4 || password.length > 128)) {
+      return 'Password must be 4 to 128 characters';
+    }
+    return null;
+  };
+
   const addUrlForm = () => {
     if (urlForms.length < 5) {
       setUrlForms([
@@ -42,6 +78,7 @@ function URLShortenerPage() {
           url: '', 
           validity: 30, 
           shortcode: '', 
+          password: '',
           loading: false 
         }
       ]);
@@ -80,19 +117,21 @@ function URLShortenerPage() {
   };
 
   const shortenUrl = async (formData) => {
-    const { id, url, validity, shortcode } = formData;
+    const { id, url, validity, shortcode, password } = formData;
 
     const urlError = validateUrl(url);
     const validityError = validateValidity(validity);
     const shortcodeError = validateShortcode(shortcode);
+    const passwordError = validatePassword(password);
 
-    if (urlError || validityError || shortcodeError) {
+    if (urlError || validityError || shortcodeError || passwordError) {
       setErrors({
         ...errors,
         [id]: {
           url: urlError,
           validity: validityError,
-          shortcode: shortcodeError
+          shortcode: shortcodeError,
+          password: passwordError
         }
       });
       return;
@@ -105,11 +144,13 @@ function URLShortenerPage() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...API_KEY_HEADERS,
         },
         body: JSON.stringify({
           url,
           validity: parseInt(validity),
-          shortcode: shortcode || undefined
+          shortcode: shortcode || undefined,
+          password: password || undefined
         }),
       });
 
@@ -121,6 +162,7 @@ function URLShortenerPage() {
           originalUrl: url,
           shortLink: responseData.shortLink,
           expiry: responseData.expiry,
+          passwordProtected: responseData.passwordProtected,
           createdAt: new Date().toISOString()
         };
         
@@ -129,6 +171,7 @@ function URLShortenerPage() {
         updateForm(id, 'url', '');
         updateForm(id, 'validity', 30);
         updateForm(id, 'shortcode', '');
+        updateForm(id, 'password', '');
         
         const updatedErrors = { ...errors };
         delete updatedErrors[id];
@@ -137,7 +180,7 @@ function URLShortenerPage() {
         setErrors({
           ...errors,
           [id]: {
-            general: responseData.message || 'Something went wrong while creating the short URL'
+            [getErrorField(responseData)]: responseData.message || 'Something went wrong while creating the short URL'
           }
         });
       }
@@ -175,7 +218,7 @@ function URLShortenerPage() {
       <div className="form-section">
         <h3>Enter URLs to Shorten</h3>
         <p style={{ color: '#6c757d', marginBottom: '20px' }}>
-          Create short links for up to 5 URLs at once. Set custom expiration times and optional short codes.
+          Create short links for up to 5 URLs at once. Set custom expiration times, optional short codes and passwords.
         </p>
         
         {urlForms.map((form, index) => (
@@ -225,6 +268,22 @@ function URLShortenerPage() {
                 )}
               </div>
               
+              <div className="form-group">
+                <label>Password</label>
+                <input
+                  type="password"
+                  placeholder="optional"
+                  autoComplete="new-password"
+                  value={form.password}
+                  onChange={(e) => updateForm(form.id, 'password', e.target.value)}
+                  className={errors[form.id]?.password ? 'error' : ''}
+                  disabled={form.loading}
+                />
+                {errors[form.id]?.password && (
+                  <div className="error-message">{errors[form.id].password}</div>
+                )}
+              </div>
+              
               <div className="form-group">
                 <button
                   className="btn btn-primary"
@@ -308,6 +367,7 @@ function URLShortenerPage() {
                   >
                     🔗
                   </button>
+                  <QRCodeButton shortcode={item.shortLink.split('/').pop()} />
                 </div>
               </div>
               
@@ -318,6 +378,11 @@ function URLShortenerPage() {
                 <span className="tag">
                   Created: {formatDate(item.createdAt)}
                 </span>
+                {item.passwordProtected && (
+                  <span className="tag">
+                    🔒 Password protected
+                  </span>
+                )}
               </div>
             </div>
           ))}
@@ -0,0 +1,5 @@
+// API key sent with the frontend's requests, from VITE_API_KEY at build time.
+// Vite compiles it into the public JavaScript bundle, so anyone who opens the app can read it and call the
+// API with it. Only use a low-privilege key from API_KEYS whose owner holds links that are fine to share with
+// every visitor. Never put a key from ADMIN_API_KEYS here. Leave it unset when the backend runs without keys.
+export const API_KEY_HEADERS = import.meta.env.VITE_API_KEY ? { 'X-API-Key': import.meta.env.VITE_API_KEY } : {};